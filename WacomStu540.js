@@ -14,19 +14,57 @@
 
 class WacomStu540 {
     #config;
+    #transport; // WebHID api or a compatible implementation
+    #document;
     #command;
+    #encryptionCommand;
+    #encoding;
+    #models;
+    #model; // profile of the connected model
     #device; // Store internal hidDevice
     #signaturePath; // stored path
     #svgElement;
-    #svgPolyLine;
+    #svgInk; // stroke in progress: {element, points, parts, partStart}
+    #inkOptions;
     #events;
-    #deviceIsSending;
+    #queue; // serialized reports to the device
+    #encryption; // capture session state
+    #buttons; // on-pad buttons
+    #lastImage; // last image sent to the pad: {data, encoding, svgImage, svgAreas: [{area, image}]}
+    #session; // connection state and settings to restore after a reconnect
+    #signing; // running captureSignature()
+    #viewer; // running showDocument()
+    #acceptanceRules;
+    #timing; // last device time and sequence number, to unwrap the 16 bit counters
+    #penState; // pen state of the last packet, for penDown, penUp, hover... events
+    #power; // standby after a idle time and rate limited brightness writes
+    #pointer; // pointer capture on the svg element, without pad
 
-    constructor() {
+    /**
+     * options:
+     *      transport:  object implementing the WebHID HID interface (getDevices, requestDevice, addEventListener),
+     *                  e.g. a WacomStuSimulator. default: navigator.hid
+     *                  null to use the instance as viewer for loaded signatures, without device.
+     *      document:   document to create the svg element, null to run without svg. default: window.document
+     *      autoReconnect: reopen the device when it is plugged in again and restore the settings, image and capture. default: true
+     *      commandTimeout: ms until a report to the device fails. default: 5000
+     *      commandRetries: retries of a failed read report, image upload or key exchange. default: 2
+     *                  sent reports are not repeated, a image upload or key exchange is restarted as a whole.
+     *      device:     HIDDevice to use, e.g. from WacomStuManager. default: the last device found or the device chooser
+     *      brightnessInterval: minimum ms between two brightness writes, later writes are delayed. default: 5000
+     * @param {Object} options
+     */
+    constructor(options={}) {
+
+        this.#transport = options.transport || null;
+        this.#document = 'document' in options ? options.document : (typeof document !== 'undefined' ? document : null);
 
         // Check if WebHID is supported
-        if (!navigator || !('hid' in navigator)) {
-            throw new Error('WebHID not supported');
+        if (!this.#transport && options.transport !== null) {
+            if (typeof navigator === 'undefined' || !('hid' in navigator)) {
+                throw new Error('WebHID not supported');
+            }
+            this.#transport = navigator.hid;
         }
 
         /**
@@ -35,8 +73,10 @@ class WacomStu540 {
         this.#config = {
             chunkSize           : 253,
             vid                 : 0x56A,
-            pid                 : 0xA8,
-            imageFormat24BGR    : 0x04,
+            pid                 : null,
+            model               : null,
+            colorDepth          : null,
+            imageEncodings      : null,
             width               : null,
             height              : null,
             scaleFactorX        : null,
@@ -59,10 +99,19 @@ class WacomStu540 {
             outputHeight        : null,
             outputOffsetX       : null,
             outputOffsetY       : null,
+            outputScale         : 1,
+            outputRotation      : 0,
+            outputFlipX         : false,
+            outputFlipY         : false,
+            outputFitWritingArea: false,
 
             deviceName          : null,
             firmware            : null,
-            eSerial             : null
+            eSerial             : null,
+
+            imageEncoding       : null,
+            dithering           : 'threshold',
+            captureSessionId    : null
         };
 
         /**
@@ -76,6 +125,7 @@ class WacomStu540 {
             eSerial         : 0x0F,
             clearScreen     : 0x20,
             inkMode         : 0x21,
+            writeImageArea  : 0x24,
             writeImageStart : 0x25,
             writeImageData  : 0x26,
             writeImageEnd   : 0x27,
@@ -83,9 +133,109 @@ class WacomStu540 {
             brightness      : 0x2B,
             backgroundColor : 0x2E,
             penColorAndWidth: 0x2D,
-            penDataTiming   : 0x34
+            penDataTiming   : 0x34,
+
+            // encrypted capture
+            penDataEncrypted        : 0x10,
+            startCapture            : 0x15,
+            endCapture              : 0x16,
+            penDataTimingEncrypted  : 0x33,
+            encryptionCommand       : 0x40,
+            encryptionStatus        : 0x50
+        };
+
+        /**
+         * Sub commands of the encryptionCommand report
+         */
+        this.#encryptionCommand = {
+            setEncryptionType       : 0x01,
+            setParameterBlock       : 0x02,
+            generateSymmetricKey    : 0x03,
+            getParameterBlock       : 0x04,
+
+            // parameter blocks
+            rsaE                    : 0x00,
+            rsaN                    : 0x01,
+            rsaC                    : 0x02,
+
+            // encryption type: AES-128, OAEP padding, RSA-2048
+            symmetricKeyAes128      : 0x00,
+            paddingOaep             : 0x02,
+            asymmetricKeyRsa2048    : 0x00
+        };
+
+        /**
+         * Image encodings for writeImageStart and writeImageArea
+         */
+        this.#encoding = {
+            '1bit'          : 0x00,
+            '1bitZlib'      : 0x01,
+            '16bit565'      : 0x02,
+            '24bit'         : 0x04
         };
 
+        /**
+         * Supported models. penWidths maps the device pen width to the svg stroke width.
+         */
+        const reports = ['penData', 'information', 'capability', 'writingMode', 'clearScreen', 'inkMode',
+            'writeImageStart', 'writeImageData', 'writeImageEnd', 'writingArea', 'penDataTiming'];
+
+        // encryption with RSA key exchange (the DH based encryption of older models is not supported)
+        const encryptionReports = ['penDataEncrypted', 'startCapture', 'endCapture', 'penDataTimingEncrypted',
+            'encryptionCommand', 'encryptionStatus'];
+
+        this.#models = [
+            {
+                model           : 'STU-430',
+                pid             : 0xA4,
+                width           : 320,
+                height          : 200,
+                colorDepth      : 1,
+                imageEncodings  : ['1bit', '1bitZlib'],
+                penWidths       : null,
+                reports         : reports.concat(['eSerial'])
+            },{
+                model           : 'STU-520',
+                pid             : 0xA3,
+                width           : 800,
+                height          : 480,
+                colorDepth      : 16,
+                imageEncodings  : ['16bit565', '1bit', '1bitZlib'],
+                penWidths       : null,
+                reports         : reports.concat(['brightness', 'writeImageArea'])
+            },{
+                model           : 'STU-530',
+                pid             : 0xA5,
+                width           : 800,
+                height          : 480,
+                colorDepth      : 24,
+                imageEncodings  : ['24bit', '16bit565', '1bit', '1bitZlib'],
+                penWidths       : {0: 0.5, 1: 2, 2: 3, 3: 4.5},
+                reports         : reports.concat(['eSerial', 'brightness', 'backgroundColor', 'penColorAndWidth', 'writeImageArea'])
+            },{
+                model           : 'STU-540',
+                pid             : 0xA8,
+                width           : 800,
+                height          : 480,
+                colorDepth      : 24,
+                imageEncodings  : ['24bit', '16bit565', '1bit', '1bitZlib'],
+                penWidths       : {0: 0.5, 1: 2, 2: 3, 3: 4.5},
+                reports         : reports.concat(['eSerial', 'brightness', 'backgroundColor', 'penColorAndWidth', 'writeImageArea'], encryptionReports)
+            },{
+                model           : 'STU-541',
+                pid             : 0xA9,
+                width           : 800,
+                height          : 480,
+                colorDepth      : 24,
+                imageEncodings  : ['24bit', '16bit565', '1bit', '1bitZlib'],
+                penWidths       : {0: 0.5, 1: 2, 2: 3, 3: 4.5},
+                reports         : reports.concat(['eSerial', 'brightness', 'backgroundColor', 'penColorAndWidth', 'writeImageArea'], encryptionReports)
+            }
+        ];
+
+        // profile of the connected model
+        this.#model = null;
+
         // Store internal hidDevice
         this.#device = null;
 
@@ -95,28 +245,139 @@ class WacomStu540 {
         // stored path of the signature
         this.#signaturePath = [];
 
-        // prohibit double sending
-        this.#deviceIsSending = false;
+        // reports are sent one job after another, higher priority first
+        this.#queue = {
+            jobs        : [],
+            current     : null,
+            idle        : [], // resolve functions waiting for an empty queue
+            priorities  : {high: 2, normal: 1, low: 0},
+            timeout     : options.commandTimeout || 5000,
+            retries     : 'commandRetries' in options ? options.commandRetries : 2,
+            transfer    : null // last transfer to the device: {done, promise}
+        };
+
+        // on-pad buttons and the button the pen went down on
+        this.#buttons = {
+            list        : [],
+            pressed     : null,
+            penDown     : false
+        };
+
+        // last image sent to the pad, to restore the screen
+        this.#lastImage = null;
+
+        // captureSignature() in progress
+        this.#signing = null;
+
+        // showDocument() in progress
+        this.#viewer = null;
+
+        // rules a signature has to meet, see setAcceptanceRules()
+        this.#acceptanceRules = {};
+
+        // state of the last packet
+        this.#penState = {
+            rdy         : false,
+            sw          : false,
+            inArea      : true
+        };
+
+        // power saving, see setPowerSaving()
+        this.#power = {
+            idleTimeout         : 0, // ms, 0: disabled
+            standbyImage        : null,
+            standbyBrightness   : 0,
+            standbyData         : null, // prepared standby image: {encoding, data}
+            standby             : false,
+            timer               : null,
+            lastActivity        : 0,
+            transition          : Promise.resolve(), // standby and wake up run one after another
+            brightnessInterval  : 'brightnessInterval' in options ? options.brightnessInterval : 5000,
+            brightness          : {last: 0, value: null, pending: null} // rate limited brightness write
+        };
+
+        // pointer capture, see startPointerCapture()
+        this.#pointer = {
+            handlers    : null, // event listeners on the svg element
+            touchAction : null, // touch-action style of the svg element before the capture
+            seq         : 0,
+            rdy         : false
+        };
+
+        // unwrapped device counters of the last packet with timing
+        this.#timing = {
+            deviceTime  : null,
+            sequence    : null,
+            time        : null, // 16 bit values of the last packet
+            seq         : null,
+            maxGap      : 0x1000 // larger steps of seq are a reset of the counter, not missing reports
+        };
+
+        // connection session: after connect() the settings are restored when the device is plugged in again
+        this.#session = {
+            autoReconnect   : options.autoReconnect !== false,
+            active          : false,
+            state           : 'disconnected',
+            settings        : {}, // setter name => arguments
+            restoring       : null,
+            device          : options.device || null, // device of this instance, null to pick one on connect()
+            onInputReport   : this.#onHidInputReport.bind(this)
+        };
+
+        // encrypted capture session, reports are decrypted in order through the queue
+        this.#encryption = {
+            key         : null, // AES session key
+            sessionId   : null,
+            queue       : Promise.resolve()
+        };
 
         // svg element
-        this.#svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        this.#svgElement.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        this.#svgElement = null;
+        if (this.#document) {
+            this.#svgElement = this.#document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            this.#svgElement.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        }
 
-        // current svg polyline
-        this.#svgPolyLine = null;
+        // current svg ink path
+        this.#svgInk = null;
 
-        // HID events
-        navigator.hid.addEventListener("connect", (e) => {
-            if (e.device.vendorId === this.#config.vid && e.device.productId === this.#config.pid) {
-                this.#raiseEvent('hidConnect', [e.device]);
-            }
-        });
+        // ink rendering
+        this.#inkOptions = {
+            smoothing   : 0.5,
+            simplify    : 0.3,
+            minWidth    : 1,
+            maxWidth    : 2.5,
+            widthCurve  : (p) => { return p; }
+        };
 
-        navigator.hid.addEventListener("disconnect", (e) => {
-            if (e.device.vendorId === this.#config.vid && e.device.productId === this.#config.pid) {
-                this.#raiseEvent('hidDisconnect', [e.device]);
-            }
-        });
+        // HID events
+        if (this.#transport) {
+            this.#transport.addEventListener("connect", (e) => {
+                if (this.#getModelProfile(e.device)) {
+                    if (this.#isOwnDevice(e.device)) {
+                        this.#raiseEvent('hidConnect', [e.device]);
+                    }
+
+                    // an instance with its own device is routed by setDevice()
+                    if (this.#session.active && this.#session.autoReconnect && !this.isConnected() && !this.#session.device) {
+                        this.#restoreSession();
+                    }
+                }
+            });
+
+            this.#transport.addEventListener("disconnect", (e) => {
+                if (this.#getModelProfile(e.device)) {
+                    if (e.device === this.#device) {
+                        this.#device.removeEventListener("inputreport", this.#session.onInputReport);
+                        this.#resetCaptureState();
+                        this.#setConnectionState(this.#session.active ? 'lost' : 'disconnected', e.device);
+                    }
+                    if (this.#isOwnDevice(e.device)) {
+                        this.#raiseEvent('hidDisconnect', [e.device]);
+                    }
+                }
+            });
+        }
     }
 
 
@@ -136,11 +397,61 @@ class WacomStu540 {
      *      cy:      y in screen pixel
      *      x:       Point x in tablet scale
      *      y:       Point y in tablet scale
-     *      time:    timestamp
-     *      seq:     incremental number
+     *      time:    timestamp of the device, 16 bit ms counter (penDataTiming reports only, otherwise null)
+     *      seq:     incremental number, 16 bit (penDataTiming reports only, otherwise null)
+     *      timestamp:  ms since epoch when the report arrived (host clock, monotonic)
+     *      deviceTime: time unwrapped to a continuous counter, null without timing
+     *      sequence:   seq unwrapped to a continuous counter, null without timing
+     *
+     * dataLoss-Event: {missing, fromSequence, toSequence, timestamp}
+     * -------------------------------------------------------------------------
+     *      a gap in the sequence numbers (penDataTiming reports only): missing reports fromSequence ... toSequence
+     *      a counter going back (pad reopened, report replayed) is a reset, not a gap
+     *
+     * error-Event: error, source
+     * -------------------------------------------------------------------------
+     *      a failure in the background, not returned by a method call. source:
+     *      decrypt:           a encrypted pen data report could not be decrypted, its pen packets are lost
+     *      buttonAction:      the action of a pressed button failed, e.g. the redraw of 'clear'
+     *      showDocument:      the screen or the inking before showDocument() could not be restored
+     *      captureSignature:  the pad could not be reset after captureSignature()
+     *      standby:           the standby image or backlight could not be written, see setPowerSaving()
+     *      wake:              the screen (wake up by the pen) or the backlight could not be restored
+     *
+     * imageProgress-Event:
+     * -------------------------------------------------------------------------
+     *      sent:     bytes sent to the device
+     *      total:    bytes of the image
+     *      encoding: image encoding
+     *
+     * buttonPress-Event: button, penData packet
+     * signatureConfirm-Event: svg blob, signature path (button action 'confirm')
+     * signatureCancel-Event: (button action 'cancel')
+     * strokeUndo-Event: removed stroke, see getStrokes()
+     * standby-Event: the pad is in standby, see setPowerSaving()
+     * wake-Event: reason ('pen' or 'api'), the pad left the standby
      *
+     * pen state events, raised after penData:
+     * -------------------------------------------------------------------------
+     *      hoverEnter:        packet, the pen comes in proximity (rdy)
+     *      penDown:           packet, the pen touches the surface (sw)
+     *      outOfWritingArea:  packet, the pen leaves the writing area while touching the surface
+     *      penUp:             packet, the pen is lifted
+     *      strokeEnd:         stroke of the signature, see getStrokes() (not for strokes on buttons)
+     *      hoverLeave:        packet, the pen leaves the proximity
+     * signatureRejected-Event: reasons, metrics (captureSignature: confirmed signature not meeting the acceptance rules)
+     *
+     * hidConnect-, hidDisconnect-Event: device. A instance with a device only gets the events of its device.
+     *
+     * connectionState-Event: state, device, error
+     * -------------------------------------------------------------------------
+     *      connecting: connect() opens the device
+     *      ready:      the device is open and its configuration is read
+     *      lost:       the device was unplugged, it is reopened when plugged in again (option autoReconnect)
+     *      restored:   the device was reopened and the settings, image and capture are restored
+     *      disconnected: disconnect() was called or connect() failed
      *
-     * @param {String} eventName (hidConnect, hidDisconnect, penData)
+     * @param {String} eventName (hidConnect, hidDisconnect, connectionState, penData, penDown, penUp, strokeEnd, hoverEnter, hoverLeave, outOfWritingArea, dataLoss, error, imageProgress, buttonPress, signatureConfirm, signatureCancel, signatureRejected, strokeUndo, standby, wake)
      * @param {Function} callbackFn
      * @param {Object|null} context
      * @returns {undefined}
@@ -150,6 +461,82 @@ class WacomStu540 {
     }
 
 
+    /**
+     * add a event listener, that is removed after the first event.
+     * Without callbackFn, a Promise is returned that resolves to the arguments of the event.
+     * @param {String} eventName see on()
+     * @param {Function|null} callbackFn
+     * @param {Object|null} context
+     * @returns {undefined|Promise}
+     */
+    once(eventName, callbackFn=null, context=null) {
+        if (!callbackFn) {
+            return new Promise((resolve) => {
+                this.once(eventName, (...args) => { resolve(args); });
+            });
+        }
+        this.#events.push({eventName: eventName, callbackFn: callbackFn, context: context, once: true});
+    }
+
+    /**
+     * Stream of the pen packets, ends when the device is disconnected or lost, or the signal is aborted:
+     *      for await (const packet of wacom.penPackets()) { ... }
+     * The packets are buffered until they are read. The stream can be started before connect() and
+     * also yields the packets of startPointerCapture().
+     * @param {Object} options {signal: AbortSignal}
+     * @returns {AsyncGenerator}
+     */
+    async *penPackets(options={}) {
+        const signal = options.signal || null, buffer = [], context = {};
+        let wake = null, ended = !!(signal && signal.aborted);
+
+        const end = () => {
+            ended = true;
+            if (wake) {
+                wake();
+            }
+        };
+
+        this.on('penData', (packet) => {
+            buffer.push(packet);
+            if (wake) {
+                wake();
+            }
+        }, context);
+        this.on('connectionState', (state) => {
+            if (state === 'lost' || state === 'disconnected') {
+                end();
+            }
+        }, context);
+        if (signal) {
+            signal.addEventListener('abort', end);
+        }
+
+        try {
+            while (buffer.length > 0 || !ended) {
+                if (buffer.length === 0) {
+                    await new Promise((resolve) => { wake = resolve; });
+                    wake = null;
+                    continue;
+                }
+                yield buffer.shift();
+            }
+        } finally {
+            this.un(null, null, context);
+            if (signal) {
+                signal.removeEventListener('abort', end);
+            }
+        }
+    }
+
+    /**
+     * for await (const packet of wacom) { ... }, see penPackets()
+     * @returns {AsyncGenerator}
+     */
+    [Symbol.asyncIterator]() {
+        return this.penPackets();
+    }
+
     /**
      * Remove a event from the stack. pass null to remove all.
      * @param {String|null} eventName
@@ -166,7 +553,7 @@ class WacomStu540 {
     }
 
     /**
-     * Check is a usb hid from wacom vid+pid is present
+     * Check is a usb hid from a supported wacom model is present
      * Note: WebHID needs a positive hid.requestDevice to be allowed to show here and on hid events. Do not use this for the first connection.
      * @returns {Boolean} found a compatible device
      */
@@ -174,11 +561,13 @@ class WacomStu540 {
         if (this.isConnected()) {
             return true;
         }
+        if (!this.#transport) {
+            return false;
+        }
 
-        let devices = await navigator.hid.getDevices();
+        let devices = await this.#transport.getDevices();
         for (let i = 0; i < devices.length; i++) {
-            let device = devices[i];
-            if (device.vendorId === this.#config.vid && device.productId === this.#config.pid) {
+            if (this.#getModelProfile(devices[i])) {
                 return true;
             }
         }
@@ -195,6 +584,34 @@ class WacomStu540 {
         return this.#device !== null && this.#device.opened;
     }
 
+    /**
+     * Set the device of this instance, e.g. the same pad plugged in again. A lost session is restored with this device.
+     * @param {HIDDevice} device
+     * @returns {Promise}
+     */
+    async setDevice(device) {
+        if (!this.#getModelProfile(device)) {
+            throw new Error('setDevice: unsupported device');
+        }
+        if (this.isConnected() && this.#device !== device) {
+            throw new Error('setDevice: another device is connected');
+        }
+
+        this.#session.device = device;
+
+        if (this.#session.active && this.#session.autoReconnect && !this.isConnected()) {
+            await this.#restoreSession();
+        }
+    }
+
+    /**
+     * returns the connection state: disconnected, connecting, ready, lost or restored
+     * @returns {String}
+     */
+    getConnectionState() {
+        return this.#session.state;
+    }
+
     /**
      * Connect to the device
      * @returns {Boolean} success or failure
@@ -205,100 +622,80 @@ class WacomStu540 {
         if (this.isConnected()) {
             return true;
         }
+        if (!this.#transport) {
+            throw new Error('connect(): no transport, instance is a viewer');
+        }
 
-        this.#device = null;
+        const previousState = this.#session.state;
+        this.#setConnectionState('connecting', null);
 
-        // check if we had already a connection, then we can reopen without prompting
-        let devices = await navigator.hid.getDevices();
-        for (let i = 0; i < devices.length; i++) {
-            let device = devices[i];
-            if (device.vendorId === this.#config.vid && device.productId === this.#config.pid) {
-                this.#device = device;
-            }
-        }
+        // finish the reports in progress first
+        await this.#waitForQueue();
 
-        // connect to new hid device
-        if (!this.#device) {
-            let dev = await navigator.hid.requestDevice({ filters: [{vendorId: this.#config.vid, productId: this.#config.pid}] });
-            if (dev.length < 1 || dev[0] === null) {
-                return false;
+        try {
+            if (await this.#openDevice()) {
+                this.stopPointerCapture();
+                this.#session.active = true;
+                this.#setConnectionState('ready', this.#device);
+                return true;
             }
-            this.#device = dev[0];
-        }
-
-        // Open the device
-        if (!this.#device.opened) {
-            await this.#device.open();
+        } catch (e) {
+            this.#setConnectionState(previousState === 'lost' ? 'lost' : 'disconnected', this.#device, e);
+            throw e;
         }
 
-        // Set handler to read input reports (this contains pen data)
-        this.#device.addEventListener("inputreport", this.#onHidInputReport.bind(this));
-
-        // Read info and capabilities from device and fill the data
-        let dv = await this.#readData(this.#command.capability);
-        this.#config.tabletMaxX = dv.getUint16(1);
-        this.#config.tabletMaxY = dv.getUint16(3);
-        this.#config.tabletMaxPressure = dv.getUint16(5);
-        this.#config.width = dv.getUint16(7);
-        this.#config.height = dv.getUint16(9);
-        this.#config.maxReportRate = dv.getUint8(11);
-        this.#config.scaleFactorX = this.#config.tabletMaxX / this.#config.width;
-        this.#config.scaleFactorY = this.#config.tabletMaxY / this.#config.height;
-
-        // information
-        dv = await this.#readData(this.#command.information);
-        this.#config.deviceName = this.#dataViewString(dv, 1, 7);
-        this.#config.firmware = dv.getUint8(8) + "." + dv.getUint8(9) + "." + dv.getUint8(10) + "." + dv.getUint8(11);
-
-        // eSerial
-        dv = await this.#readData(this.#command.eSerial);
-        this.#config.eSerial = this.#dataViewString(dv, 1);
-
-        // backgroundColor
-        dv = await this.#readData(this.#command.backgroundColor);
-        this.#config.backgroundColor = [dv.getUint8(1), dv.getUint8(2), dv.getUint8(3)];
-        this.#svgElement.style.backgroundColor = 'rgb(' + this.#config.backgroundColor.join(',') + ')';
-
-        // penColorAndWidth
-        dv = await this.#readData(this.#command.penColorAndWidth);
-        this.#config.penColor = [dv.getUint8(1), dv.getUint8(2), dv.getUint8(3)];
-        this.#config.penWidth = dv.getUint8(4);
-
-        // brightness
-        dv = await this.#readData(this.#command.brightness);
-        this.#config.brightness = dv.getUint8(1);
-
-        // inkMode
-        dv = await this.#readData(this.#command.inkMode);
-        this.#config.inkMode = dv.getUint8(1) === 1;
-
-        // writingMode
-        dv = await this.#readData(this.#command.writingMode);
-        this.#config.writingMode = dv.getUint8(1);
+        this.#setConnectionState(previousState === 'lost' ? 'lost' : 'disconnected', null);
+        return false;
+    }
 
-        // writingArea
-        dv = await this.#readData(this.#command.writingArea);
-        this.#config.writingArea = [dv.getUint16(1, true), dv.getUint16(3, true), dv.getUint16(5, true), dv.getUint16(7, true)];
+    /**
+     * Close the device and end the session, the device is not reopened automatically.
+     * The stored signature and image are kept, e.g. for getSvg(). A later connect() does not write the
+     * settings again, only a lost device plugged in again is restored (option autoReconnect).
+     * @returns {Promise}
+     */
+    async disconnect() {
+        this.#session.active = false;
 
-        this.#svgElement.setAttribute('version', '2.0');
+        if (this.#device) {
+            this.#device.removeEventListener("inputreport", this.#session.onInputReport);
+            if (this.#device.opened) {
+                await this.#device.close();
+            }
+        }
+        this.#resetCaptureState();
+        this.#config.captureSessionId = null;
+        this.#setConnectionState('disconnected', this.#device);
+    }
 
-        // set the svg viewbox to width & height
-        let w = this.getOutputSize().width, h = this.getOutputSize().height;
-        this.#svgElement.setAttribute('viewBox', '0 0 ' + w + ' ' + h);
-        this.#svgElement.setAttribute('width', w + 'px');
-        this.#svgElement.setAttribute('height', h + 'px');
+    /**
+     * returns a copy of the profiles of all supported models
+     * @returns {Array}
+     */
+    getSupportedModels() {
+        return structuredClone(this.#models);
+    }
 
-        return true;
+    /**
+     * returns the WebHID filters of all supported models, e.g. for navigator.hid.requestDevice()
+     * @returns {Array} [{vendorId, productId}]
+     */
+    getDeviceFilters() {
+        return this.#models.map((m) => { return {vendorId: this.#config.vid, productId: m.pid}; });
     }
 
     /**
-     * returns the size of the output svg element
+     * returns the size of the output svg element. default: the screen size, rotated and scaled by setOutputTransform()
      * @returns {Object}
      */
     getOutputSize() {
+        const c = this.#config, rotated = c.outputRotation % 180 !== 0;
+        const width = c.width === null ? null : Math.round((rotated ? c.height : c.width) * c.outputScale);
+        const height = c.height === null ? null : Math.round((rotated ? c.width : c.height) * c.outputScale);
+
         return {
-            width: this.#config.outputWidth === null ? this.#config.width : this.#config.outputWidth,
-            height: this.#config.outputHeight === null ? this.#config.height : this.#config.outputHeight,
+            width: c.outputWidth === null ? width : c.outputWidth,
+            height: c.outputHeight === null ? height : c.outputHeight,
             offsetX: this.#config.outputOffsetX,
             offsetY: this.#config.outputOffsetY
         };
@@ -306,19 +703,19 @@ class WacomStu540 {
 
     /**
      * Retrives general data from the device
-     * @returns {Object} info of the device
+     * @returns {Object} copy of the info of the device
      */
     getTabletInfo() {
-        // return clone, add time and connection
+        // return a deep clone, add time and connection
         return Object.assign({
             connected: this.isConnected(),
             timestamp: Date.now()
-        }, this.#config);
+        }, structuredClone(this.#config));
     }
 
     /**
      * returns the svg element to display live signature data on the screen
-     * @returns SVGElement
+     * @returns SVGElement|null null if constructed without document
      */
     getSvgElement() {
         return this.#svgElement;
@@ -362,20 +759,20 @@ class WacomStu540 {
 
         // generate a key pair
         if (privateKey === null) {
-            const keyPair = await window.crypto.subtle.generateKey(algorithm, true, ["sign", "verify"]);
+            const keyPair = await globalThis.crypto.subtle.generateKey(algorithm, true, ["sign", "verify"]);
             privateKey = keyPair.privateKey;
             publicKey = keyPair.publicKey;
         }
 
         // create signature
-        let sig = await window.crypto.subtle.sign(algorithm, privateKey, data);
+        let sig = await globalThis.crypto.subtle.sign(algorithm, privateKey, data);
 
         let signatureBlock = '<!-- ' + "\n";
 
         // append public key
         if (publicKey && publicKey instanceof CryptoKey) {
             signatureBlock += 'public key: ';
-            let pk = await window.crypto.subtle.exportKey('spki', publicKey);
+            let pk = await globalThis.crypto.subtle.exportKey('spki', publicKey);
             let sigBytes = new Uint8Array(pk);
             for (let i = 0; i < sigBytes.length; i++) {
                 signatureBlock += sigBytes[i].toString(16).padStart(2, '0');
@@ -404,6 +801,131 @@ class WacomStu540 {
         }
     }
 
+    /**
+     * get a raster image of the signature, the size is calculated from the physical size of the tablet (0.01 mm units).
+     * @param {Object} options {type: 'image/png'|'image/jpeg', dpi: 300, background: null (transparent) or '#RRGGBB', quality: 0.92, asUrl: false}
+     * @returns {Promise} resolves to a Blob or object URL
+     */
+    async getImage(options={}) {
+        const type = options.type || 'image/png', dpi = options.dpi || 300;
+        let background = options.background || null;
+
+        if (['image/png', 'image/jpeg'].indexOf(type) === -1) {
+            throw new Error('getImage: invalid type ' + type);
+        }
+        if (!this.#config.tabletMaxX || !this.#config.tabletMaxY) {
+            throw new Error('getImage: no device data, connect or load a signature first');
+        }
+
+        // jpeg has no transparency
+        if (type === 'image/jpeg' && background === null) {
+            background = '#FFFFFF';
+        }
+
+        const tabletWidth = Math.round(this.#config.tabletMaxX / 100 / 25.4 * dpi), tabletHeight = Math.round(this.#config.tabletMaxY / 100 / 25.4 * dpi);
+        const widthScale = tabletWidth / this.#config.width;
+
+        // rotated and flipped like the output, see setOutputTransform()
+        const c = this.#config, rotated = c.outputRotation % 180 !== 0;
+        const width = rotated ? tabletHeight : tabletWidth, height = rotated ? tabletWidth : tabletHeight;
+
+        const canvas = this.#createCanvas(width, height), ctx = canvas.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        ctx.setTransform.apply(ctx, this.#getMatrix({x: 0, y: 0, width: c.width, height: c.height}, c.outputRotation, c.outputFlipX, c.outputFlipY, widthScale, 0, 0));
+        this.#drawInk(ctx, 1);
+
+        let blob = canvas.convertToBlob ? await canvas.convertToBlob({type: type, quality: options.quality || 0.92})
+                    : await new Promise((resolve) => { canvas.toBlob(resolve, type, options.quality || 0.92); });
+
+        blob = await this.#setImageDpi(blob, dpi);
+        return options.asUrl ? URL.createObjectURL(blob) : blob;
+    }
+
+    /**
+     * get the signature in the ISO/IEC 19794-7:2007 full format (signature/sign time series data).
+     *
+     * Layout (big endian):
+     *      general header:     'SDI\0', '010\0', record length (4), number of representations (1)
+     *      representation:     length (4), capture date and time UTC (9), device technology (1, 1: electronic tablet),
+     *                          vendor id (2, USB vid), device type (2, USB pid), number of quality blocks (1, 0),
+     *                          channel inclusion (2), channel descriptions, number of points (3), points, extended data length (2, 0)
+     *      channels:           X, Y (0.01 mm, offset 32768), T (ms since the first point), F (pressure in tablet units), S (tip switch)
+     *                          T is in steps of 2, 4, 8 ... ms if the signature takes longer than 65.5 s
+     * @param {Boolean} asUrl true to return a object URL
+     * @returns {Blob|String}
+     */
+    getIso19794(asUrl=false) {
+        const path = this.#signaturePath, times = this.#getReplayTimes(path), bytes = [];
+        const u8 = (v) => { bytes.push(v & 0xFF); };
+        const u16 = (v) => { u8(v >> 8); u8(v); };
+        const u24 = (v) => { u8(v >> 16); u16(v); };
+        const u32 = (v) => { u16(v >>> 16); u16(v); };
+
+        // long signatures: coarser time steps to fit in 16 bit, the scaling values of 1000 / 2^n are exact
+        const duration = times.reduce((max, t) => { return Math.max(max, t); }, 0);
+        let timeStep = 1;
+        while (duration / timeStep > 0xFFFF) {
+            timeStep *= 2;
+        }
+
+        // channel inclusion: X (bit 15), Y (bit 14), T (bit 8), F (bit 6), S (bit 5)
+        const channels = [
+            {bit: 15, scaling: 100,  value: (p) => { return p.x + 32768; }},
+            {bit: 14, scaling: 100,  value: (p) => { return p.y + 32768; }},
+            {bit: 8,  scaling: 1000 / timeStep, value: (p, i) => { return Math.round(times[i] / timeStep); }},
+            {bit: 6,  scaling: null, value: (p) => { return p.press; }, max: this.#config.tabletMaxPressure},
+            {bit: 5,  scaling: null, value: (p) => { return p.sw ? 1 : 0; }}
+        ];
+
+        const captured = path.length > 0 && typeof path[0].timestamp === 'number' ? new Date(path[0].timestamp) : new Date();
+
+        // representation
+        u32(0); // length, set below
+        u16(captured.getUTCFullYear());
+        u8(captured.getUTCMonth() + 1);
+        u8(captured.getUTCDate());
+        u8(captured.getUTCHours());
+        u8(captured.getUTCMinutes());
+        u8(captured.getUTCSeconds());
+        u16(captured.getUTCMilliseconds());
+        u8(1);
+        u16(this.#config.vid);
+        u16(this.#config.pid || 0);
+        u8(0);
+
+        u16(channels.reduce((mask, c) => { return mask | (1 << c.bit); }, 0));
+        channels.forEach((c) => {
+            // preamble: bit 7 scaling value present, bit 5 maximum value present
+            u8((c.scaling ? 0x80 : 0) | (c.max ? 0x20 : 0));
+            if (c.scaling) {
+                u16(this.#isoScalingValue(c.scaling));
+            }
+            if (c.max) {
+                u16(c.max);
+            }
+        });
+
+        u24(path.length);
+        path.forEach((p, i) => {
+            channels.forEach((c) => { u16(c.value(p, i)); });
+        });
+        u16(0);
+
+        const representationLength = bytes.length;
+        bytes.splice(0, 4, representationLength >>> 24, (representationLength >> 16) & 0xFF, (representationLength >> 8) & 0xFF, representationLength & 0xFF);
+
+        // general header
+        const header = [0x53, 0x44, 0x49, 0x00, 0x30, 0x31, 0x30, 0x00], recordLength = header.length + 5 + representationLength;
+        header.push(recordLength >>> 24, (recordLength >> 16) & 0xFF, (recordLength >> 8) & 0xFF, recordLength & 0xFF, 1);
+
+        const blob = new Blob([new Uint8Array(header.concat(bytes))], {type: 'application/octet-stream'});
+        return asUrl ? URL.createObjectURL(blob) : blob;
+    }
+
     /**
      * Check if there is a signature stored.
      * @param {Boolean} withTouchingDevice false to not check if the screen was touched
@@ -423,97 +945,410 @@ class WacomStu540 {
     }
 
     /**
-     * Set the size of the output svg element.
-     * set null will set the size to the screen size of your device.
-     * @param {null|Number} width
-     * @param {null|Number} height
-     * @param {Number} offsetX
-     * @param {Number} offsetY
-     * @returns {undefined}
+     * Parse the raw data of a signature
+     * @param {Blob|String|Object} source svg from getSvg() or getSvgSigned(), its raw JSON or the parsed raw object
+     * @returns {Promise} resolves to {device, path}
      */
-    setOutputSize(width=null, height=null, offsetX=0, offsetY=0) {
-        this.#config.outputWidth   = width;
-        this.#config.outputHeight  = height;
-        this.#config.outputOffsetX = parseInt(offsetX);
-        this.#config.outputOffsetY = parseInt(offsetY);
+    static async parseSignatureData(source) {
+        if (source instanceof Blob) {
+            source = await source.text();
+        }
 
-        let w = width === null ? this.#config.width : width,
-            h = height === null ? this.#config.height : height;
-        this.#svgElement.setAttribute('viewBox', '0 0 ' + w + ' ' + h);
-        this.#svgElement.setAttribute('width', w + 'px');
-        this.#svgElement.setAttribute('height', h + 'px');
+        if (typeof source === 'string') {
+            let json = source.trim();
+            if (json.charAt(0) !== '{') {
+                const match = /<!-- raw: ([\s\S]*?)-->/.exec(source);
+                if (!match) {
+                    throw new Error('parseSignatureData: no raw data found');
+                }
+                json = match[1];
+            }
+            source = JSON.parse(json);
+        }
+
+        if (!source || !Array.isArray(source.path)) {
+            throw new Error('parseSignatureData: invalid signature data');
+        }
+
+        return {device: source.device || {}, path: source.path};
     }
 
     /**
-     * Set pen color
-     * @param {String} color color in '#RRGGBB' format
-     * @param {Number} width pen thickness, can be 0-3
+     * Verify a svg created by getSvgSigned().
+     * The key is taken from the signature block (public key or certificate) or from the trusted keys.
+     * options:
+     *      trustedKeys: Array of CryptoKey, SPKI (ArrayBuffer or hex) or SHA-256 fingerprints (hex) of the SPKI.
+     *                   required for valid: a embedded key proves only that the svg was not modified since it was signed
+     *                   with this key, anybody can sign a modified svg with a new key.
+     *      algorithm:   algorithm used for signing (default: ECDSA over P-384 curve with SHA-384)
+     *
+     * result:
+     *      valid:        signature matches and the key is trusted
+     *      intact:       signature matches the key, also for keys not trusted (integrity only, not the origin)
+     *      trusted:      key is one of the trusted keys, null if no trusted keys are given
+     *      fingerprint:  SHA-256 fingerprint of the SPKI (hex), null if no key found
+     *      algorithm:    algorithm used to verify
+     *      keySource:    'public key', 'certificate' or 'trusted key'
+     *      reason:       null if valid, else why the verification failed
+     *      content:      signed svg content
+     * @param {Blob|String} svg
+     * @param {Object} options {trustedKeys: [], algorithm: null}
+     * @returns {Promise} resolves to the result
      */
-    async setPenColorAndWidth(color, width) {
-        if (!this.isConnected()) {
-            throw new Error('device not connected');
+    static async verifySvg(svg, options={}) {
+        const subtle = globalThis.crypto.subtle, trustedKeys = options.trustedKeys || [];
+        const algorithm = options.algorithm || {name: 'ECDSA', hash: {name: 'SHA-384'}, namedCurve: 'P-384'};
+        const text = svg instanceof Blob ? await svg.text() : String(svg);
+
+        let result = {
+            valid: false,
+            intact: false,
+            trusted: trustedKeys.length > 0 ? false : null,
+            fingerprint: null,
+            algorithm: algorithm,
+            keySource: null,
+            reason: null,
+            content: null
+        };
+
+        // split signed content and signature block
+        const blockStart = text.lastIndexOf('<!-- \n');
+        const block = blockStart === -1 ? null : /^<!-- \n(?:(public key|certificate): ([\s\S]*?)\n)?signature: ([0-9a-f]+)\n-->\s*$/.exec(text.slice(blockStart));
+        if (!block) {
+            result.reason = 'no signature block found';
+            return result;
         }
-        if ([0,1,2,3].indexOf(width) === -1) {
-            throw new Error('invalid value for setPenColorAndWidth width');
+
+        result.content = text.slice(0, blockStart);
+        const data = new TextEncoder().encode(result.content), signature = WacomStu540.#hexToBytes(block[3]);
+
+        // trusted keys as SPKI, CryptoKeys are exported
+        const trusted = [];
+        for (let i = 0; i < trustedKeys.length; i++) {
+            let k = trustedKeys[i];
+            if (typeof CryptoKey !== 'undefined' && k instanceof CryptoKey) {
+                trusted.push({spki: new Uint8Array(await subtle.exportKey('spki', k)), fingerprint: null});
+            } else if (typeof k === 'string' && k.length === 64) {
+                trusted.push({spki: null, fingerprint: k.toLowerCase()});
+            } else {
+                trusted.push({spki: typeof k === 'string' ? WacomStu540.#hexToBytes(k) : new Uint8Array(k), fingerprint: null});
+            }
+        }
+        for (let i = 0; i < trusted.length; i++) {
+            if (trusted[i].spki) {
+                trusted[i].fingerprint = await WacomStu540.#fingerprint(trusted[i].spki);
+            }
         }
 
-        let c = color.replace('#', '').split(/(?<=^(?:.{2})+)(?!$)/).map(e => parseInt("0x" + e, 16)); //Converts "#RRGGBB" to Array(r,g,b)
-        c.push(parseInt(width)); // Insert width byte, so array now has 4 elements
+        // candidate keys: from the signature block or all trusted keys
+        let candidates = [];
+        if (block[1]) {
+            try {
+                const spki = block[1] === 'public key' ? WacomStu540.#hexToBytes(block[2]) : WacomStu540.#spkiFromCertificate(block[2]);
+                candidates.push({spki: spki, source: block[1]});
+            } catch (e) {
+                result.reason = 'invalid key in signature block: ' + e.message;
+                return result;
+            }
+        } else {
+            candidates = trusted.filter((t) => { return t.spki; }).map((t) => { return {spki: t.spki, source: 'trusted key'}; });
+        }
 
-        await this.#sendData(this.#command.penColorAndWidth, new Uint8Array(c));
+        if (candidates.length === 0) {
+            result.reason = 'no key to verify the signature';
+            return result;
+        }
 
-        // save to config
-        this.#config.penColor = [c[0], c[1], c[2]];
-        this.#config.penWidth = c[3];
+        for (let i = 0; i < candidates.length; i++) {
+            let key;
+            try {
+                key = await subtle.importKey('spki', candidates[i].spki, algorithm, false, ['verify']);
+            } catch (e) {
+                result.reason = 'key does not match the algorithm ' + algorithm.name;
+                continue;
+            }
+
+            result.fingerprint = await WacomStu540.#fingerprint(candidates[i].spki);
+            result.keySource = candidates[i].source;
+            if (trusted.length > 0) {
+                result.trusted = trusted.some((t) => { return t.fingerprint === result.fingerprint; });
+            }
+
+            if (await subtle.verify(algorithm, key, signature, data)) {
+                result.intact = true;
+                result.valid = result.trusted === true;
+                if (!result.valid) {
+                    result.reason = result.trusted === null ? 'no trusted keys given, only the integrity is verified' : 'key is not trusted';
+                }
+                return result;
+            }
+            result.reason = 'signature does not match the content, the svg was modified or signed with another key';
+        }
 
+        return result;
     }
 
     /**
-     * Set backlight intensity, can be 0-3.
-     * Note: it seems its not good to call this frequently.
-     * See: http://developer-docs.wacom.com/faqs/docs/q-stu/stu-sdk-application#how-can-i-switch-the-stu-off-when-not-in-use
-     * @param {Number} intensity 0-3
+     * Load a signature, e.g. from an exported svg. The signature path and the svg are rebuilt.
+     * Without a connected device, the recorded device settings (size, pen, writing area...) are used.
+     * @param {Blob|String|Object} source svg from getSvg() or getSvgSigned(), its raw JSON or the parsed raw object
+     * @returns {Promise}
      */
-    async setBrightness(intensity) {
-        if (!this.isConnected()) {
-            throw new Error('device not connected');
-        }
-
-        if ([0,1,2,3].indexOf(intensity) === -1) {
-            throw new Error('invalid value for setBrightness intensity');
-        }
+    async loadSignature(source) {
+        const data = await WacomStu540.parseSignatureData(source);
 
-        // Check if device already has this value, to avoid unnecessary writes
-        let dv = await this.#readData(this.#command.brightness);
-        if (dv.getUint8(1) === intensity) {
-            return;
+        if (!this.isConnected()) {
+            this.#applyRecordedConfig(data.device);
         }
-        await this.#sendData(this.#command.brightness, new Uint8Array([intensity, 0]));
 
-        // save to config
-        this.#config.brightness = intensity;
+        this.#clearSignatureData();
+        this.#signaturePath = data.path.map((p) => { return Object.assign({}, p); });
+        this.#drawSignaturePathToCanvas(0);
     }
 
     /**
-     * Set background color, must clear screen to take effect
-     * Note: it seems its not good to call this frequently
-     * @param {String} color color in '#RRGGBB' format
+     * Replay the stored signature in real time, using the recorded time and seq values.
+     * Without timing data, the report rate of the device is used. On abort, the remaining path is drawn at once.
+     * @param {Object} options {speed: 1, signal: AbortSignal}
+     * @returns {Promise} resolves when the replay is finished
+     */
+    async replaySignature(options={}) {
+        const speed = options.speed || 1, signal = options.signal || null;
+        const path = this.#signaturePath, times = this.#getReplayTimes(path);
+
+        this.#clearSignatureData();
+
+        const start = Date.now();
+        let i = 0;
+        while (i < path.length) {
+            if (signal && signal.aborted) {
+                break;
+            }
+
+            const elapsed = (Date.now() - start) * speed, from = i;
+            while (i < path.length && times[i] <= elapsed) {
+                this.#signaturePath.push(path[i++]);
+            }
+            if (i > from) {
+                this.#drawSignaturePathToCanvas(from);
+            }
+
+            if (i < path.length) {
+                await this.#wait(Math.max(1, Math.min(50, (times[i] - elapsed) / speed)));
+            }
+        }
+
+        // aborted: draw the rest
+        if (i < path.length) {
+            const from = i;
+            this.#signaturePath = this.#signaturePath.concat(path.slice(i));
+            this.#drawSignaturePathToCanvas(from);
+            signal.throwIfAborted();
+        }
+    }
+
+    /**
+     * Set the size of the output svg element.
+     * set null will set the size to the screen size of your device, rotated and scaled by setOutputTransform().
+     * @param {null|Number} width
+     * @param {null|Number} height
+     * @param {Number} offsetX
+     * @param {Number} offsetY
+     * @returns {undefined}
+     */
+    setOutputSize(width=null, height=null, offsetX=0, offsetY=0) {
+        this.#config.outputWidth   = width;
+        this.#config.outputHeight  = height;
+        this.#config.outputOffsetX = parseInt(offsetX);
+        this.#config.outputOffsetY = parseInt(offsetY);
+
+        this.#setSvgSize();
+        this.#redrawSvg();
+    }
+
+    /**
+     * Set the transform from the pad screen to the output: the svg, the canvas for setCanvas() and cx/cy of penData.
+     * The screen (or the writing area) is rotated, flipped, scaled and moved by the offset of setOutputSize().
+     * Images in the svg are not transformed again, call setCanvas() after a change.
+     * options:
+     *      scale:          output pixels per screen pixel, default: 1
+     *      rotation:       0, 90, 180 or 270 degrees clockwise, e.g. 180 for a pad mounted upside down
+     *      flipX:          mirror horizontally
+     *      flipY:          mirror vertically
+     *      fitWritingArea: scale the writing area to the output size, centered. scale is ignored.
+     * @param {Object} options
+     * @returns {undefined}
+     */
+    setOutputTransform(options={}) {
+        const opt = Object.assign({scale: 1, rotation: 0, flipX: false, flipY: false, fitWritingArea: false}, options);
+
+        if (typeof opt.scale !== 'number' || opt.scale <= 0) {
+            throw new Error('invalid value for setOutputTransform scale');
+        }
+        if ([0, 90, 180, 270].indexOf(opt.rotation) === -1) {
+            throw new Error('invalid value for setOutputTransform rotation');
+        }
+
+        this.#config.outputScale = opt.scale;
+        this.#config.outputRotation = opt.rotation;
+        this.#config.outputFlipX = !!opt.flipX;
+        this.#config.outputFlipY = !!opt.flipY;
+        this.#config.outputFitWritingArea = !!opt.fitWritingArea;
+
+        this.#setSvgSize();
+        this.#redrawSvg();
+    }
+
+    /**
+     * Set the rendering of the ink in the svg and the exported images.
+     * options:
+     *      smoothing:   0 (none) ... 0.9 (strong)
+     *      simplify:    tolerance in pixels to remove points, 0 to keep all points
+     *      minWidth:    stroke width in pixels for no pressure (writing mode 1)
+     *      maxWidth:    stroke width in pixels for full pressure (writing mode 1)
+     *      widthCurve:  function mapping the pressure 0...1 to 0...1, e.g. (p) => Math.pow(p, 0.7)
+     * @param {Object} options
+     * @returns {undefined}
+     */
+    setInkOptions(options) {
+        const opt = Object.assign({}, this.#inkOptions, options);
+
+        if (typeof opt.smoothing !== 'number' || opt.smoothing < 0 || opt.smoothing >= 1) {
+            throw new Error('invalid value for setInkOptions smoothing');
+        }
+        if (typeof opt.simplify !== 'number' || opt.simplify < 0) {
+            throw new Error('invalid value for setInkOptions simplify');
+        }
+        if (typeof opt.minWidth !== 'number' || typeof opt.maxWidth !== 'number' || opt.minWidth <= 0 || opt.maxWidth < opt.minWidth) {
+            throw new Error('invalid value for setInkOptions minWidth/maxWidth');
+        }
+        if (typeof opt.widthCurve !== 'function') {
+            throw new Error('invalid value for setInkOptions widthCurve');
+        }
+
+        this.#inkOptions = opt;
+        this.#redrawSvg();
+    }
+
+    /**
+     * Set pen color
+     * @param {String} color color in '#RRGGBB' format
+     * @param {Number} width pen thickness, can be 0-3
+     */
+    async setPenColorAndWidth(color, width) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        this.#assertReport('penColorAndWidth');
+        if (typeof width !== 'number' || !(width in this.#model.penWidths)) {
+            throw new Error('invalid value for setPenColorAndWidth width');
+        }
+        this.#rememberSetting('setPenColorAndWidth', [color, width]);
+
+        let c = color.replace('#', '').split(/(?<=^(?:.{2})+)(?!$)/).map(e => parseInt("0x" + e, 16)); //Converts "#RRGGBB" to Array(r,g,b)
+        c.push(parseInt(width)); // Insert width byte, so array now has 4 elements
+
+        await this.#sendData(this.#command.penColorAndWidth, new Uint8Array(c));
+
+        // save to config
+        this.#config.penColor = [c[0], c[1], c[2]];
+        this.#config.penWidth = c[3];
+
+    }
+
+    /**
+     * Set backlight intensity, can be 0-3.
+     * Note: it seems its not good to call this frequently, writes are delayed to the option brightnessInterval.
+     * Only the last value of delayed calls is written.
+     * See: http://developer-docs.wacom.com/faqs/docs/q-stu/stu-sdk-application#how-can-i-switch-the-stu-off-when-not-in-use
+     * @param {Number} intensity 0-3
+     */
+    async setBrightness(intensity) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        this.#assertReport('brightness');
+
+        if ([0,1,2,3].indexOf(intensity) === -1) {
+            throw new Error('invalid value for setBrightness intensity');
+        }
+        this.#rememberSetting('setBrightness', [intensity]);
+
+        // save to config, in standby the value is written on wake up
+        this.#config.brightness = intensity;
+
+        if (!this.#power.standby) {
+            await this.#writeBrightness(intensity);
+        }
+    }
+
+    /**
+     * Show a standby image and lower the backlight after a idle time without pen data.
+     * The pad wakes up when the pen comes in proximity (rdy) or on wake(), the screen and the backlight are restored.
+     * The backlight is written in the background, at most once per brightnessInterval.
+     * options:
+     *      idleTimeout:        ms without pen data, 0 to disable (default)
+     *      standbyImage:       image for prepareImage(), null to keep the screen (default)
+     *      standbyBrightness:  backlight intensity 0-3 in standby, default: 0
+     * @param {Object} options
+     */
+    setPowerSaving(options) {
+        const opt = Object.assign({idleTimeout: 0, standbyImage: null, standbyBrightness: 0}, options);
+
+        if (typeof opt.idleTimeout !== 'number' || opt.idleTimeout < 0) {
+            throw new Error('invalid value for setPowerSaving idleTimeout');
+        }
+        if ([0,1,2,3].indexOf(opt.standbyBrightness) === -1) {
+            throw new Error('invalid value for setPowerSaving standbyBrightness');
+        }
+
+        this.#power.idleTimeout = opt.idleTimeout;
+        this.#power.standbyImage = opt.standbyImage;
+        this.#power.standbyBrightness = opt.standbyBrightness;
+        this.#power.standbyData = null;
+
+        this.#stopIdleTimer();
+        this.#resetIdleTimer();
+    }
+
+    /**
+     * Leave the standby, see setPowerSaving(). The idle time starts again.
+     * @returns {Promise}
+     */
+    async wake() {
+        await this.#leaveStandby('api', true);
+    }
+
+    /**
+     * returns true if the pad is in standby
+     * @returns {Boolean}
+     */
+    isStandby() {
+        return this.#power.standby;
+    }
+
+    /**
+     * Set background color, must clear screen to take effect
+     * Note: it seems its not good to call this frequently
+     * @param {String} color color in '#RRGGBB' format
      */
     async setBackgroundColor(color) {
         if (!this.isConnected()) {
             throw new Error('device not connected');
         }
+        this.#assertReport('backgroundColor');
+        this.#rememberSetting('setBackgroundColor', [color]);
 
         // Converts "#RRGGBB" to Array(r,g,b)
         let c = color.replace('#', '').split(/(?<=^(?:.{2})+)(?!$)/).map(e => parseInt("0x" + e, 16));
 
         // Check if device already has this value, to avoid unnecessary writes
-        let dv = await this.#readData(this.#command.backgroundColor);
-        if (dv.getUint8(1) === c[0] && dv.getUint8(2) === c[1] && dv.getUint8(3) === c[2]) {
-            return;
-        }
-
-        await this.#sendData(this.#command.backgroundColor, new Uint8Array(c));
+        await this.#enqueue(async (job) => {
+            let dv = await this.#readData(this.#command.backgroundColor, job);
+            if (dv.getUint8(1) !== c[0] || dv.getUint8(2) !== c[1] || dv.getUint8(3) !== c[2]) {
+                await this.#sendData(this.#command.backgroundColor, new Uint8Array(c), job);
+            }
+        });
 
         // save to config
         this.#config.backgroundColor = [c[0], c[1], c[2]];
@@ -528,6 +1363,8 @@ class WacomStu540 {
             throw new Error('device not connected');
         }
 
+        this.#rememberSetting('setWritingArea', [Object.assign({}, p)]);
+
         let pk = this.#createPacket(8);
         pk.view.setUint16(0, p.x1, true);
         pk.view.setUint16(2, p.y1, true);
@@ -543,6 +1380,11 @@ class WacomStu540 {
             p.x2,
             p.y2
         ];
+
+        // the output shows the writing area
+        if (this.#config.outputFitWritingArea) {
+            this.#redrawSvg();
+        }
     }
 
     /**
@@ -556,6 +1398,7 @@ class WacomStu540 {
         if ([0,1].indexOf(mode) === -1) {
             throw new Error('invalid value for setWritingMode');
         }
+        this.#rememberSetting('setWritingMode', [mode]);
 
         await this.#sendData(this.#command.writingMode, new Uint8Array([mode]));
 
@@ -572,361 +1415,3234 @@ class WacomStu540 {
             throw new Error('device not connected');
         }
 
-        await this.#sendData(this.#command.inkMode, new Uint8Array([enabled ? 1 : 0]));
+        this.#rememberSetting('setInking', [enabled]);
+
+        await this.#sendData(this.#command.inkMode, new Uint8Array([enabled ? 1 : 0]), null, 'high');
+
+        // save to config
+        this.#config.inkMode = !!enabled;
+    }
+
+    /**
+     * Clear screen to background color
+     */
+    async clearScreen() {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        await this.#leaveStandby('api', false);
+        await this.#sendData(this.#command.clearScreen, new Uint8Array([0]));
+
+        // clear current signature path, the image is cleared too
+        this.#clearSignatureData();
+        this.#lastImage = null;
+
+        // set background color
+        this.#setSvgBackground();
+    }
+
+    /**
+     * Start an encrypted capture session. A new session key is exchanged with the device,
+     * afterwards the pen data is sent encrypted and decrypted to the same penData packets.
+     * @param {Number|null} sessionId 32 bit id of the session, null for a random id
+     */
+    async startCapture(sessionId=null) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        this.#assertReport('startCapture');
+
+        if (this.#encryption.sessionId !== null) {
+            await this.endCapture();
+        }
+
+        if (sessionId === null) {
+            sessionId = globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+
+        // key exchange and start in one job, a failed key exchange is done again from the start
+        this.#encryption.key = await this.#enqueue(async (job) => {
+            const key = await this.#retrySequence(() => { return this.#exchangeSessionKey(job); });
+
+            let pk = this.#createPacket(4);
+            pk.view.setUint32(0, sessionId);
+            await this.#sendData(this.#command.startCapture, pk.data, job);
+            return key;
+        });
+
+        this.#encryption.sessionId = sessionId;
+        this.#config.captureSessionId = sessionId;
+    }
+
+    /**
+     * End the encrypted capture session, the session key is discarded.
+     */
+    async endCapture() {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        this.#assertReport('endCapture');
+
+        await this.#sendData(this.#command.endCapture, new Uint8Array([0]), null, 'high');
+
+        // wait for reports in decryption
+        await this.#encryption.queue;
+
+        this.#encryption.key = null;
+        this.#encryption.sessionId = null;
+        this.#config.captureSessionId = null;
+    }
+
+    /**
+     * Check if an encrypted capture session is running
+     * @returns {Boolean}
+     */
+    isCapturing() {
+        return this.#encryption.sessionId !== null;
+    }
+
+    /**
+     * Capture the signature with pointer events (mouse, touch, pen with pressure) on the svg element, e.g. if no pad is available.
+     * The packets have the format of penData, they are stored, drawn and raised like the packets of a pad.
+     * The capture stops on connect().
+     * options:
+     *      width, height:          size of the virtual screen in pixels, default: size of the last device or 800 x 480
+     *      tabletMaxX, tabletMaxY: size of the virtual tablet in tablet units, default: 10 units per pixel
+     *      tabletMaxPressure:      default: 1023
+     * @param {Object} options
+     * @returns {undefined}
+     */
+    startPointerCapture(options={}) {
+        if (!this.#svgElement) {
+            throw new Error('startPointerCapture: no svg element');
+        }
+        if (this.isConnected()) {
+            throw new Error('startPointerCapture: device connected');
+        }
+
+        this.stopPointerCapture();
+
+        const width = options.width || this.#config.width || 800, height = options.height || this.#config.height || 480;
+        const tabletMaxX = options.tabletMaxX || width * 10, tabletMaxY = options.tabletMaxY || height * 10;
+        Object.assign(this.#config, {
+            model               : 'pointer',
+            pid                 : null,
+            width               : width,
+            height              : height,
+            tabletMaxX          : tabletMaxX,
+            tabletMaxY          : tabletMaxY,
+            tabletMaxPressure   : options.tabletMaxPressure || 1023,
+            scaleFactorX        : tabletMaxX / width,
+            scaleFactorY        : tabletMaxY / height,
+            penColor            : this.#config.penColor || [0, 0, 0],
+            backgroundColor     : this.#config.backgroundColor || [255, 255, 255],
+            inkMode             : this.#config.inkMode === null ? true : this.#config.inkMode,
+            writingMode         : this.#config.writingMode === null ? 1 : this.#config.writingMode
+        });
+        this.#model = null;
+        this.#setSvgSize();
+        this.#setSvgBackground();
+
+        // the counters start again
+        this.#pointer.seq = 0;
+        this.#timing.deviceTime = null;
+        this.#timing.sequence = null;
+
+        // a pen touching the surface keeps the pointer until it is lifted
+        const onDown = (e) => {
+            if (e.isPrimary) {
+                e.preventDefault();
+                this.#svgElement.setPointerCapture(e.pointerId);
+                this.#onPointer(e, true, true);
+            }
+        };
+        const onMove = (e) => {
+            if (e.isPrimary) {
+                const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+                (events.length > 0 ? events : [e]).forEach((ce) => { this.#onPointer(ce, true, (e.buttons & 1) !== 0); });
+            }
+        };
+        const onUp = (e) => {
+            if (e.isPrimary) {
+                this.#onPointer(e, e.pointerType !== 'touch', false);
+            }
+        };
+        const onLeave = (e) => {
+            if (e.isPrimary && this.#pointer.rdy) {
+                this.#onPointer(e, false, false);
+            }
+        };
+
+        this.#pointer.handlers = {pointerdown: onDown, pointermove: onMove, pointerup: onUp, pointercancel: onLeave, pointerleave: onLeave};
+        Object.keys(this.#pointer.handlers).forEach((name) => {
+            this.#svgElement.addEventListener(name, this.#pointer.handlers[name]);
+        });
+
+        // no scrolling and zooming while writing on a touch screen
+        this.#pointer.touchAction = this.#svgElement.style.touchAction;
+        this.#svgElement.style.touchAction = 'none';
+    }
+
+    /**
+     * Stop the capture of pointer events, see startPointerCapture()
+     * @returns {undefined}
+     */
+    stopPointerCapture() {
+        if (!this.#pointer.handlers) {
+            return;
+        }
+
+        Object.keys(this.#pointer.handlers).forEach((name) => {
+            this.#svgElement.removeEventListener(name, this.#pointer.handlers[name]);
+        });
+        this.#svgElement.style.touchAction = this.#pointer.touchAction;
+        this.#pointer.handlers = null;
+        this.#pointer.rdy = false;
+    }
+
+    /**
+     * returns true if pointer events are captured, see startPointerCapture()
+     * @returns {Boolean}
+     */
+    isPointerCapture() {
+        return this.#pointer.handlers !== null;
+    }
+
+    /**
+     * send a canvas to the pad. the canvas should have the output size, see getOutputSize().
+     * The canvas is mapped to the screen with the output transform, see setOutputTransform().
+     * Transparent pixels are drawn over the background color.
+     * options: see setImage(), dithering: see setDithering()
+     * @param {CanvasRenderingContext2D} ctx Canvas 2D
+     * @param {Boolean} drawToSvg draw image do svg
+     * @param {Object} options {encoding, dithering, signal}
+     * @returns {Promise}
+     */
+    async setCanvas(ctx, drawToSvg=true, options={}) {
+        let outputSize = this.getOutputSize();
+
+        if (outputSize.width !== ctx.canvas.width || outputSize.height !== ctx.canvas.height) {
+            console.warn('setCanvas(): provided canvas has not the same size as the output area.');
+        }
+
+        const encoding = options.encoding || this.#config.imageEncoding, matrix = this.#getOutputMatrix();
+
+        // draw the buttons to a copy of the canvas
+        if (this.#buttons.list.length > 0) {
+            const copy = this.#createCanvas(ctx.canvas.width, ctx.canvas.height).getContext('2d');
+            copy.drawImage(ctx.canvas, 0, 0);
+            copy.setTransform.apply(copy, matrix);
+            this.#drawButtons(copy, 0, 0);
+            copy.resetTransform();
+            ctx = copy;
+        }
+
+        // map the canvas to the screen
+        const screen = this.#createCanvas(this.#config.width, this.#config.height).getContext('2d');
+        screen.setTransform.apply(screen, this.#invertMatrix(matrix));
+        screen.drawImage(ctx.canvas, 0, 0);
+
+        //Obtain image pixels and convert them to the image encoding
+        let imageData = screen.getImageData(0, 0, this.#config.width, this.#config.height);
+        const pixels = this.#encodeImage(this.#quantizeImage(imageData.data, this.#config.width, this.#config.height, encoding, options.dithering), encoding);
+
+        // get image as object url to paint afterwards to the canvas
+        const dataUrl = drawToSvg && ctx.canvas && this.#svgElement ? await this.#canvasToDataURL(ctx.canvas) : null;
+
+        await this.setImage(pixels, Object.assign({}, options, {encoding: encoding}));
+
+        // draw image to svg
+        if (dataUrl) {
+            let svgImage = this.#document.createElementNS("http://www.w3.org/2000/svg", "image");
+            svgImage.setAttribute('x', 0);
+            svgImage.setAttribute('y', 0);
+            svgImage.setAttribute('width', ctx.canvas.width);
+            svgImage.setAttribute('height', ctx.canvas.height);
+            svgImage.setAttribute('href', dataUrl);
+            this.#svgElement.append(svgImage);
+            this.#lastImage.svgImage = svgImage;
+        }
+    }
+
+    /**
+     * Set the buttons on the pad. They are drawn into the image on the next setCanvas().
+     * Pen strokes starting on a button raise the buttonPress event and are not stored as signature.
+     * button:
+     *      id:       identifier
+     *      label:    text on the button
+     *      x, y, width, height: region in screen pixels
+     *      action:   null, 'clear' (remove the ink), 'confirm' (raises signatureConfirm) or 'cancel' (raises signatureCancel)
+     *      style:    {background: '#EEEEEE', color: '#000000', border: '#000000', borderWidth: 2, font: '30px sans-serif'}
+     * @param {Array} buttons
+     */
+    setButtons(buttons) {
+        const actions = [null, 'clear', 'confirm', 'cancel'];
+
+        this.#buttons.list = buttons.map((b) => {
+            if (['x', 'y', 'width', 'height'].some((k) => { return typeof b[k] !== 'number'; })) {
+                throw new Error('setButtons: invalid region of button ' + b.id);
+            }
+            if (!actions.includes(b.action || null)) {
+                throw new Error('setButtons: invalid action ' + b.action);
+            }
+            return {
+                id: b.id,
+                label: b.label || '',
+                x: b.x,
+                y: b.y,
+                width: b.width,
+                height: b.height,
+                action: b.action || null,
+                style: Object.assign({background: '#EEEEEE', color: '#000000', border: '#000000', borderWidth: 2, font: '30px sans-serif'}, b.style || {})
+            };
+        });
+        this.#buttons.pressed = null;
+    }
+
+    /**
+     * returns the buttons on the pad
+     * @returns {Array}
+     */
+    getButtons() {
+        return this.#buttons.list.map((b) => { return Object.assign({}, b); });
+    }
+
+    /**
+     * Render a screen layout in the size of the pad and send it with setCanvas().
+     * The writing area is set to the sign box. Positions and sizes are screen pixels.
+     * The text is cut above the sign box, the signer is drawn smaller if the space below the sign box is too small.
+     * template:
+     *      title:       text on top
+     *      text:        e.g. legal text, wrapped to the screen width, '\n' for new lines
+     *      signer:      name of the signer, below the sign line
+     *      date:        Date or true for now, formatted with locale and dateOptions
+     *      locale:      e.g. 'de-CH', default: locale of the browser
+     *      dateOptions: Intl.DateTimeFormat options, default: {dateStyle: 'long'}
+     *      logo:        image (ImageBitmap, HTMLImageElement, canvas...) or image Blob, top right
+     *      signBox:     {x, y, width, height}, default: above the buttons over the full width
+     *      style:       {background: '#FFFFFF', color: '#000000', lineColor: '#000000', font: 'sans-serif', titleSize, textSize}
+     * @param {Object} template
+     * @param {Object} options see setCanvas()
+     * @returns {Promise} resolves to the sign box {x, y, width, height}
+     */
+    async setLayout(template, options={}) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+
+        const w = this.#config.width, h = this.#config.height, margin = Math.round(w / 32);
+        const style = Object.assign({
+            background: '#FFFFFF',
+            color: '#000000',
+            lineColor: '#000000',
+            font: 'sans-serif',
+            titleSize: Math.round(h / 14),
+            textSize: Math.round(h / 28)
+        }, template.style || {});
+
+        // sign box: above the buttons, with space for the signer below the sign line
+        const buttonsTop = Math.min.apply(null, this.#buttons.list.map((b) => { return b.y; }).concat([h]));
+        const boxHeight = Math.round(h * 0.4), boxBottom = buttonsTop - margin - (template.signer ? Math.round(style.textSize * 1.5) : 0);
+        const box = Object.assign({x: margin, y: boxBottom - boxHeight, width: w - 2 * margin, height: boxHeight}, template.signBox || {});
+
+        if (box.x < 0 || box.y < 0 || box.width <= 0 || box.height <= 0 || box.x + box.width > w || box.y + box.height > h) {
+            throw new Error('setLayout: sign box outside of the screen');
+        }
+
+        // drawn with the output transform, in the size of the output like setCanvas() expects it
+        const size = this.getOutputSize(), canvas = this.#createCanvas(size.width, size.height), ctx = canvas.getContext('2d');
+        ctx.fillStyle = style.background;
+        ctx.fillRect(0, 0, size.width, size.height);
+        ctx.setTransform.apply(ctx, this.#getOutputMatrix());
+        ctx.fillStyle = style.color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        let y = margin, textWidth = w - 2 * margin;
+
+        // logo top right, the text on the left of it
+        if (template.logo) {
+            const logo = template.logo instanceof Blob ? await createImageBitmap(template.logo) : template.logo;
+            const maxSize = Math.round(h / 6), scale = Math.min(maxSize / logo.width, maxSize / logo.height, 1);
+            const lw = Math.round(logo.width * scale), lh = Math.round(logo.height * scale);
+            ctx.drawImage(logo, w - margin - lw, margin, lw, lh);
+            textWidth -= lw + margin;
+        }
+
+        if (template.title) {
+            ctx.font = 'bold ' + style.titleSize + 'px ' + style.font;
+            ctx.fillText(template.title, margin, y, textWidth);
+            y += Math.round(style.titleSize * 1.4);
+        }
+
+        ctx.font = style.textSize + 'px ' + style.font;
+        if (template.date) {
+            const date = template.date instanceof Date ? template.date : new Date();
+            const dateStr = new Intl.DateTimeFormat(template.locale || undefined, template.dateOptions || {dateStyle: 'long'}).format(date);
+            ctx.fillText(dateStr, margin, y, textWidth);
+            y += Math.round(style.textSize * 1.6);
+        }
+
+        if (y > box.y) {
+            throw new Error('setLayout: title and date overlap the sign box');
+        }
+
+        // text until the sign box, cut with ...
+        if (template.text) {
+            const lineHeight = Math.round(style.textSize * 1.25), lines = this.#wrapText(ctx, template.text, textWidth);
+            for (let i = 0; i < lines.length && y + lineHeight <= box.y; i++) {
+                const cut = i < lines.length - 1 && y + lineHeight * 2 > box.y;
+                ctx.fillText(lines[i] + (cut ? ' ...' : ''), margin, y, textWidth);
+                y += lineHeight;
+                if (cut) {
+                    break;
+                }
+            }
+        }
+
+        // sign line in the lower part of the sign box, signer below
+        const lineY = Math.round(box.y + box.height * 0.8);
+        ctx.strokeStyle = style.lineColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(box.x, lineY);
+        ctx.lineTo(box.x + box.width, lineY);
+        ctx.stroke();
+
+        // signer below the sign box, smaller if the space to the buttons or the screen bottom is too small
+        if (template.signer) {
+            const top = box.y + box.height + Math.round(style.textSize * 0.3), bottom = box.y + box.height <= buttonsTop ? buttonsTop : h;
+            const signerSize = Math.min(style.textSize, Math.floor((bottom - top) / 1.2));
+            if (signerSize < 8) {
+                throw new Error('setLayout: no space for the signer below the sign box');
+            }
+            ctx.font = signerSize + 'px ' + style.font;
+            ctx.fillText(template.signer, box.x, top, box.width);
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        await this.setCanvas(ctx, true, options);
+        await this.setWritingArea({x1: box.x, y1: box.y, x2: box.x + box.width, y2: box.y + box.height});
+
+        return box;
+    }
+
+    /**
+     * Set the default image encoding for setCanvas()
+     * @param {String} encoding one of getTabletInfo().imageEncodings
+     */
+    setImageEncoding(encoding) {
+        this.#assertImageEncoding(encoding);
+        this.#rememberSetting('setImageEncoding', [encoding]);
+        this.#config.imageEncoding = encoding;
+    }
+
+    /**
+     * Set the default dithering to reduce images to the colors of 16bit565 and 1bit encodings
+     *      threshold:      nearest color (default)
+     *      ordered:        4x4 bayer matrix, for text and graphics
+     *      floydSteinberg: error diffusion, for photos and scanned documents
+     * @param {String} dithering
+     */
+    setDithering(dithering) {
+        this.#assertDithering(dithering);
+        this.#config.dithering = dithering;
+    }
+
+    /**
+     * Prepare an image for setImage(): scale it to the screen size, draw transparent pixels
+     * over the background color and reduce the colors of the encoding.
+     * options:
+     *      encoding:   default from setImageEncoding()
+     *      dithering:  default from setDithering()
+     *      fit:        contain (default, centered), cover (cropped) or fill (stretched)
+     * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|ImageData|Blob} source
+     * @param {Object} options {encoding, dithering, fit}
+     * @returns {Promise} resolves to the imageData for setImage()
+     */
+    async prepareImage(source, options={}) {
+        const encoding = options.encoding || this.#config.imageEncoding, fit = options.fit || 'contain';
+        const w = this.#config.width, h = this.#config.height;
+
+        this.#assertImageEncoding(encoding);
+        if (!['contain', 'cover', 'fill'].includes(fit)) {
+            throw new Error('prepareImage: invalid fit ' + fit);
+        }
+
+        if (source instanceof Blob) {
+            source = await createImageBitmap(source);
+
+        } else if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+            const canvas = this.#createCanvas(source.width, source.height);
+            canvas.getContext('2d').putImageData(source, 0, 0);
+            source = canvas;
+        }
+
+        // scale to the screen size
+        const sw = source.naturalWidth || source.width, sh = source.naturalHeight || source.height;
+        const scale = fit === 'contain' ? Math.min(w / sw, h / sh) : Math.max(w / sw, h / sh);
+        const dw = fit === 'fill' ? w : sw * scale, dh = fit === 'fill' ? h : sh * scale;
+
+        const ctx = this.#createCanvas(w, h).getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, (w - dw) / 2, (h - dh) / 2, dw, dh);
+
+        return this.#encodeImage(this.#quantizeImage(ctx.getImageData(0, 0, w, h).data, w, h, encoding, options.dithering), encoding);
+    }
+
+    /**
+     * Send a raw image to the pad.
+     * The chunks are sent in order, the imageProgress event is raised after each chunk.
+     * options:
+     *      encoding:   24bit:    BGR 24bpp
+     *                  16bit565: RGB 565 16bpp, little endian
+     *                  1bit:     1bpp, msb first, rows padded to full bytes, 1 = black
+     *                  1bitZlib: imageData as 1bit, zlib compressed before sending
+     *      signal:     AbortSignal to cancel the upload
+     * @param {Uint8Array|Array} imageData Image in the screen size of the device.
+     * @param {Object} options {encoding: default from setImageEncoding(), signal: null}
+     */
+    async setImage(imageData, options={}) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+
+        const encoding = options.encoding || this.#config.imageEncoding, signal = options.signal || null;
+        this.#assertImageEncoding(encoding);
+
+        if (imageData.length !== this.#getImageSize(encoding)) {
+            throw new Error('setImage: invalid imageData for encoding ' + encoding);
+        }
+
+        // the image replaces the standby image
+        await this.#leaveStandby('api', false);
+        await this.#writeImage(imageData, encoding, signal);
+        this.#lastImage = {data: imageData, encoding: encoding, svgImage: null, svgAreas: []};
+
+        // clear current signature path
+        this.#clearSignatureData();
+    }
+
+    /**
+     * send a region of a canvas to a rectangle of the pad screen. The rest of the screen and the
+     * signature are kept, e.g. to highlight a button or update a page indicator.
+     * The region is read with the output transform (see setOutputTransform()), buttons within the area are drawn.
+     * options: see setCanvas()
+     * @param {CanvasRenderingContext2D} ctx Canvas 2D
+     * @param {Object} area format {x:0, y:0, width:100, height:50} in screen pixels
+     * @param {Boolean} drawToSvg draw image do svg
+     * @param {Object} options {encoding, dithering, signal}
+     * @returns {Promise}
+     */
+    async setCanvasArea(ctx, area, drawToSvg=true, options={}) {
+        this.#assertImageArea(area);
+
+        const encoding = options.encoding || this.#config.imageEncoding;
+
+        // map the region to the screen and draw the buttons
+        const matrix = this.#getOutputMatrix(), copy = this.#createCanvas(area.width, area.height).getContext('2d');
+        copy.setTransform.apply(copy, this.#multiplyMatrix([1, 0, 0, 1, -area.x, -area.y], this.#invertMatrix(matrix)));
+        copy.drawImage(ctx.canvas, 0, 0);
+        copy.resetTransform();
+        this.#drawButtons(copy, -area.x, -area.y);
+
+        const rgba = this.#quantizeImage(copy.getImageData(0, 0, area.width, area.height).data, area.width, area.height, encoding, options.dithering);
+        const pixels = this.#encodeImage(rgba, encoding, area.width, area.height);
+        const dataUrl = drawToSvg && this.#svgElement ? await this.#canvasToDataURL(copy.canvas) : null;
+
+        await this.setImageArea(pixels, area, Object.assign({}, options, {encoding: encoding}));
+
+        // draw image to svg, below the ink
+        if (dataUrl) {
+            let svgImage = this.#document.createElementNS("http://www.w3.org/2000/svg", "image");
+            svgImage.setAttribute('x', area.x);
+            svgImage.setAttribute('y', area.y);
+            svgImage.setAttribute('width', area.width);
+            svgImage.setAttribute('height', area.height);
+            svgImage.setAttribute('transform', 'matrix(' + matrix.join(' ') + ')');
+            svgImage.setAttribute('href', dataUrl);
+
+            // images of areas within the new area are hidden, they are removed
+            this.#lastImage.svgAreas = this.#lastImage.svgAreas.filter((svgArea) => {
+                const a = svgArea.area;
+                return a.x < area.x || a.y < area.y || a.x + a.width > area.x + area.width || a.y + a.height > area.y + area.height;
+            });
+            this.#lastImage.svgAreas.push({area: {x: area.x, y: area.y, width: area.width, height: area.height}, image: svgImage});
+            this.#redrawSvg();
+        }
+    }
+
+    /**
+     * Send a raw image to a rectangle of the pad screen. The rest of the screen and the signature are kept,
+     * the ink of the signature within the area is drawn again.
+     * options: see setImage()
+     * @param {Uint8Array|Array} imageData Image in the size of the area.
+     * @param {Object} area format {x:0, y:0, width:100, height:50} in screen pixels
+     * @param {Object} options {encoding: default from setImageEncoding(), signal: null}
+     * @returns {Promise}
+     */
+    async setImageArea(imageData, area, options={}) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        this.#assertReport('writeImageArea');
+        this.#assertImageArea(area);
+
+        const encoding = options.encoding || this.#config.imageEncoding, signal = options.signal || null;
+        this.#assertImageEncoding(encoding);
+
+        if (imageData.length !== this.#getImageSize(encoding, area.width, area.height)) {
+            throw new Error('setImageArea: invalid imageData for encoding ' + encoding);
+        }
+        await this.#leaveStandby('api', true);
+
+        const rgba = this.#decodeImage(imageData, encoding, area.width, area.height);
+
+        // the area overwrites the ink on the pad, draw it again
+        let data = imageData;
+        if (this.hasSignatureData(false)) {
+            const ctx = this.#createCanvas(area.width, area.height).getContext('2d');
+            ctx.putImageData(new ImageData(new Uint8ClampedArray(rgba), area.width, area.height), 0, 0);
+            ctx.translate(-area.x, -area.y);
+            this.#drawInk(ctx, 1);
+            data = this.#encodeImage(ctx.getImageData(0, 0, area.width, area.height).data, encoding, area.width, area.height);
+        }
+
+        await this.#writeImage(data, encoding, signal, area);
+        this.#mergeImageArea(rgba, area, encoding);
+    }
+
+    /**
+     * Returns the strokes of the stored signature. A stroke are the packets with the pen touching the surface.
+     * stroke:
+     *      startIndex, endIndex:   range of the packets in the signature path (endIndex exclusive)
+     *      startTime, endTime:     ms since the first packet
+     *      boundingBox:            {x1, y1, x2, y2} in screen pixels
+     *      pointCount:             number of packets
+     *      points:                 the packets
+     * @returns {Array}
+     */
+    getStrokes() {
+        const path = this.#signaturePath, times = this.#getReplayTimes(path), strokes = [];
+        let stroke = null;
+
+        for (let i = 0; i <= path.length; i++) {
+            const p = path[i];
+
+            if (p && p.rdy && p.sw) {
+                const sp = this.#getScreenPoint(p);
+                if (!stroke) {
+                    stroke = {startIndex: i, endIndex: i, startTime: times[i], endTime: times[i], boundingBox: {x1: sp.x, y1: sp.y, x2: sp.x, y2: sp.y}, pointCount: 0, points: []};
+                }
+                stroke.endIndex = i + 1;
+                stroke.endTime = times[i];
+                stroke.pointCount++;
+                stroke.points.push(Object.assign({}, p));
+                stroke.boundingBox.x1 = Math.min(stroke.boundingBox.x1, sp.x);
+                stroke.boundingBox.y1 = Math.min(stroke.boundingBox.y1, sp.y);
+                stroke.boundingBox.x2 = Math.max(stroke.boundingBox.x2, sp.x);
+                stroke.boundingBox.y2 = Math.max(stroke.boundingBox.y2, sp.y);
+
+            } else if (stroke) {
+                strokes.push(stroke);
+                stroke = null;
+            }
+        }
+
+        return strokes;
+    }
+
+    /**
+     * Remove the last stroke from the stored signature and the svg.
+     * If connected, the pad screen is redrawn with the last image and the remaining strokes.
+     * If the redraw fails, the stroke is kept and no strokeUndo event is raised.
+     * @returns {Promise} resolves to the removed stroke or null, rejects if the redraw of the pad screen fails
+     */
+    async undoStroke() {
+        const strokes = this.getStrokes();
+        if (strokes.length === 0) {
+            return null;
+        }
+
+        const stroke = strokes[strokes.length - 1];
+        const packets = this.#signaturePath.splice(stroke.startIndex, stroke.endIndex - stroke.startIndex);
+
+        // the screen is drawn from the path, the packets are put back if the redraw fails
+        if (this.isConnected()) {
+            try {
+                await this.#redrawScreen();
+            } catch (e) {
+                Array.prototype.splice.apply(this.#signaturePath, [stroke.startIndex, 0].concat(packets));
+                throw e;
+            }
+        }
+
+        this.#redrawSvg();
+
+        this.#raiseEvent('strokeUndo', [stroke]);
+        return stroke;
+    }
+
+    /**
+     * Returns metrics of the stored signature, calculated from the packets with the pen touching the surface.
+     * metrics:
+     *      duration:          ms from the first to the last contact
+     *      strokeCount:       number of strokes, see getStrokes()
+     *      pointCount:        number of packets with contact
+     *      pathLength:        length of the strokes in screen pixels
+     *      boundingBox:       {x1, y1, x2, y2, width, height} in screen pixels, null without contact
+     *      averageVelocity:   pixels per second while the pen touches the surface
+     *      maxVelocity:       pixels per second, fastest movement between two packets
+     *      pressureHistogram: 10 counters of packets for pressure 0...0.1, 0.1...0.2, ... 0.9...1
+     *      penUpTime:         ms between the strokes
+     * @returns {Object}
+     */
+    getSignatureMetrics() {
+        const strokes = this.getStrokes(), histogram = new Array(10).fill(0);
+        let pointCount = 0, pathLength = 0, contactTime = 0, maxVelocity = 0, box = null;
+
+        strokes.forEach((st) => {
+            const times = this.#getReplayTimes(this.#signaturePath.slice(st.startIndex, st.endIndex));
+
+            st.points.forEach((p, i) => {
+                histogram[Math.min(9, Math.floor(p.cpress * 10))]++;
+
+                if (i > 0) {
+                    const a = this.#getScreenPoint(st.points[i - 1]), b = this.#getScreenPoint(p);
+                    const dist = Math.hypot(b.x - a.x, b.y - a.y), dt = times[i] - times[i - 1];
+                    pathLength += dist;
+                    if (dt > 0) {
+                        maxVelocity = Math.max(maxVelocity, dist / dt * 1000);
+                    }
+                }
+            });
+
+            pointCount += st.pointCount;
+            contactTime += st.endTime - st.startTime;
+
+            const b = st.boundingBox;
+            box = box ? {x1: Math.min(box.x1, b.x1), y1: Math.min(box.y1, b.y1), x2: Math.max(box.x2, b.x2), y2: Math.max(box.y2, b.y2)} : Object.assign({}, b);
+        });
+
+        if (box) {
+            box.width = box.x2 - box.x1;
+            box.height = box.y2 - box.y1;
+        }
+
+        const duration = strokes.length > 0 ? strokes[strokes.length - 1].endTime - strokes[0].startTime : 0;
+
+        return {
+            duration: duration,
+            strokeCount: strokes.length,
+            pointCount: pointCount,
+            pathLength: pathLength,
+            boundingBox: box,
+            averageVelocity: contactTime > 0 ? pathLength / contactTime * 1000 : 0,
+            maxVelocity: maxVelocity,
+            pressureHistogram: histogram,
+            penUpTime: duration - contactTime
+        };
+    }
+
+    /**
+     * Set the rules a signature has to meet, checked by checkSignature() and on confirm in captureSignature().
+     * rules:
+     *      minDuration, maxDuration:  ms, see getSignatureMetrics() duration
+     *      minStrokes:                number of strokes
+     *      minPoints:                 number of packets with contact
+     *      minPathLength:             screen pixels
+     *      minWidth, minHeight:       size of the bounding box in screen pixels
+     * @param {Object} rules e.g. {minDuration: 500, minStrokes: 1, minWidth: 100}
+     * @returns {undefined}
+     */
+    setAcceptanceRules(rules) {
+        const names = ['minDuration', 'maxDuration', 'minStrokes', 'minPoints', 'minPathLength', 'minWidth', 'minHeight'];
+
+        Object.keys(rules).forEach((name) => {
+            if (!names.includes(name)) {
+                throw new Error('setAcceptanceRules: unknown rule ' + name);
+            }
+            if (rules[name] !== null && typeof rules[name] !== 'number') {
+                throw new Error('setAcceptanceRules: invalid value for ' + name);
+            }
+        });
+
+        this.#acceptanceRules = Object.assign({}, rules);
+    }
+
+    /**
+     * Check the stored signature against the acceptance rules
+     * result:
+     *      accepted:  all rules are met
+     *      reasons:   the rules not met, e.g. 'minDuration: 120 < 500'
+     *      metrics:   see getSignatureMetrics()
+     * @param {Object|null} rules null for the rules from setAcceptanceRules()
+     * @returns {Object}
+     */
+    checkSignature(rules=null) {
+        rules = rules || this.#acceptanceRules;
+
+        const metrics = this.getSignatureMetrics(), box = metrics.boundingBox || {width: 0, height: 0}, reasons = [];
+        const check = (name, value, ok) => {
+            if (typeof rules[name] === 'number' && !ok(value, rules[name])) {
+                reasons.push(name + ': ' + Math.round(value * 100) / 100 + (name.startsWith('max') ? ' > ' : ' < ') + rules[name]);
+            }
+        };
+        const min = (v, r) => { return v >= r; }, max = (v, r) => { return v <= r; };
+
+        check('minDuration', metrics.duration, min);
+        check('maxDuration', metrics.duration, max);
+        check('minStrokes', metrics.strokeCount, min);
+        check('minPoints', metrics.pointCount, min);
+        check('minPathLength', metrics.pathLength, min);
+        check('minWidth', box.width, min);
+        check('minHeight', box.height, min);
+
+        return {accepted: reasons.length === 0, reasons: reasons, metrics: metrics};
+    }
+
+    /**
+     * Show a document on the pad to read before signing: a long text is split to pages, or a list of page images is shown.
+     * The pen taps the previous and next controls, the page indicator shows e.g. '2 / 5'.
+     * On the last page the next control becomes the sign control, the Promise resolves when it is tapped.
+     * Taps are ignored until a page is on the pad. Afterwards the previous screen, buttons and inking are restored.
+     * Start captureSignature() afterwards, it can not be started while a document is shown.
+     * document:
+     *      text:    text, wrapped and split to pages, '\n' for new lines
+     *      pages:   images (ImageBitmap, HTMLImageElement, canvas...) or image Blobs, scaled to the page
+     * options:
+     *      labels:  {previous: '<', next: '>', sign: 'Sign'}
+     *      style:   {background: '#FFFFFF', color: '#000000', font: 'sans-serif', textSize}
+     *      signal:  AbortSignal to end the viewer
+     * @param {Object} doc document {text} or {pages}
+     * @param {Object} options
+     * @returns {Promise} resolves to the number of pages after the last page was shown and the sign control tapped
+     */
+    async showDocument(doc, options={}) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        if (this.#viewer || this.#signing) {
+            throw new Error('showDocument: a document or capture is already running');
+        }
+
+        const signal = options.signal || null, w = this.#config.width, h = this.#config.height;
+        const labels = Object.assign({previous: '<', next: '>', sign: 'Sign'}, options.labels || {});
+        const style = Object.assign({background: '#FFFFFF', color: '#000000', font: 'sans-serif', textSize: Math.round(h / 24)}, options.style || {});
+        const previousButtons = this.#buttons.list, previousImage = this.#lastImage, previousInking = this.#config.inkMode;
+
+        if (signal) {
+            signal.throwIfAborted();
+        }
+
+        const viewer = this.#viewer = {};
+        try {
+            const pages = await this.#getDocumentPages(doc, style);
+            let index = 0, showing = false;
+
+            // controls in the bar at the bottom
+            const barHeight = Math.round(h / 8), bw = Math.round(w / 5), margin = Math.round(w / 32), font = Math.round(barHeight / 2) + 'px ' + style.font;
+            const show = () => {
+                const buttons = [];
+                if (index > 0) {
+                    buttons.push({id: 'documentPrevious', label: labels.previous, x: margin, y: h - barHeight, width: bw, height: barHeight - 4, style: {font: font}});
+                }
+                buttons.push({id: 'documentNext', label: index === pages.length - 1 ? labels.sign : labels.next, x: w - margin - bw, y: h - barHeight, width: bw, height: barHeight - 4, style: {font: font}});
+                this.setButtons(buttons);
+
+                // the controls are locked until the page is on the pad
+                showing = true;
+                return this.#showDocumentPage(pages[index], index, pages.length, barHeight, style).finally(() => { showing = false; });
+            };
+
+            await this.setInking(false);
+            await show();
+
+            return await new Promise((resolve, reject) => {
+                const done = (fn, value) => {
+                    this.un(null, null, viewer);
+                    if (signal) {
+                        signal.removeEventListener('abort', viewer.onAbort);
+                    }
+                    fn(value);
+                };
+
+                viewer.onAbort = () => { done(reject, signal.reason); };
+                if (signal) {
+                    signal.addEventListener('abort', viewer.onAbort);
+                }
+
+                this.on('connectionState', (state) => {
+                    if (state === 'disconnected' || state === 'lost') {
+                        done(reject, new Error('showDocument: device ' + state));
+                    }
+                }, viewer);
+
+                this.on('buttonPress', (button) => {
+                    if (showing) {
+                        return;
+                    }
+
+                    if (button.id === 'documentNext' && index === pages.length - 1) {
+
+                        // the last page was shown: signing is unlocked
+                        done(resolve, pages.length);
+                        return;
+                    }
+
+                    if (button.id === 'documentNext' || button.id === 'documentPrevious') {
+                        index = Math.max(0, Math.min(pages.length - 1, index + (button.id === 'documentNext' ? 1 : -1)));
+                        show().catch((e) => { done(reject, e); });
+                    }
+                }, viewer);
+            });
+
+        } finally {
+            this.#viewer = null;
+            this.#buttons.list = previousButtons;
+            this.#buttons.pressed = null;
+            this.#clearSignatureData();
+
+            // the screen before the document, a failure must not replace the result or the error, it raises the error event
+            if (this.isConnected()) {
+                try {
+                    await this.#restoreImage(previousImage);
+                    await this.setInking(previousInking);
+                } catch (e) {
+                    this.#raiseEvent('error', [e, 'showDocument']);
+                }
+            }
+        }
+    }
+
+    /**
+     * Capture a signature: the pad shows the prompt and the buttons, the signature is finished with the confirm button.
+     * Without buttons set, OK, Clear and Cancel buttons are shown. Afterwards the pad is idle: inking off and screen cleared.
+     * A confirm of a signature not meeting the acceptance rules raises signatureRejected and the capture goes on.
+     * options:
+     *      prompt:          text on top of the pad, e.g. 'Please sign here'
+     *      timeout:         ms until the capture is rejected, 0 for no timeout
+     *      minPoints:       minimum number of packets with the pen touching the surface
+     *      requireContact:  the pen has to touch the surface (default true)
+     *      rules:           acceptance rules for this capture, default from setAcceptanceRules()
+     *      signal:          AbortSignal to cancel the capture
+     * result:
+     *      svg:       svg blob, see getSvg()
+     *      path:      the packets of the signature
+     *      metadata:  {model, eSerial, firmware, pointCount, strokeCount, duration, confirmedAt}
+     *      metrics:   see getSignatureMetrics()
+     * @param {Object} options {prompt: '', timeout: 0, minPoints: 0, requireContact: true, rules: null, signal: null}
+     * @returns {Promise} resolves to the result on confirm, rejects on cancel, timeout, abort or when the device is lost
+     */
+    async captureSignature(options={}) {
+        if (!this.isConnected()) {
+            throw new Error('device not connected');
+        }
+        if (this.#signing) {
+            throw new Error('captureSignature: a capture is already running');
+        }
+        if (this.#viewer) {
+            throw new Error('captureSignature: a document is shown, wait for showDocument()');
+        }
+
+        const prompt = options.prompt || '', timeout = options.timeout || 0, signal = options.signal || null;
+        const previousButtons = this.#buttons.list, rules = Object.assign({}, options.rules || this.#acceptanceRules);
+
+        if (options.minPoints) {
+            rules.minPoints = Math.max(rules.minPoints || 0, options.minPoints);
+        }
+        if (options.requireContact !== false) {
+            rules.minStrokes = Math.max(rules.minStrokes || 0, 1);
+        }
+
+        if (signal) {
+            signal.throwIfAborted();
+        }
+
+        const signing = this.#signing = {};
+        try {
+            if (previousButtons.length === 0) {
+                this.setButtons(this.#getDefaultButtons());
+            }
+
+            // screen with background, prompt and signing line, the buttons are drawn by setCanvas()
+            const size = this.getOutputSize(), ctx = this.#createCanvas(size.width, size.height).getContext('2d');
+            const w = this.#config.width, h = this.#config.height;
+            const buttonsTop = Math.min.apply(null, this.#buttons.list.map((b) => { return b.y; }).concat([h]));
+
+            ctx.fillStyle = 'rgb(' + this.#config.backgroundColor.join(',') + ')';
+            ctx.fillRect(0, 0, size.width, size.height);
+            ctx.setTransform.apply(ctx, this.#getOutputMatrix());
+            ctx.fillStyle = ctx.strokeStyle = 'rgb(' + this.#config.penColor.join(',') + ')';
+            if (prompt) {
+                ctx.font = Math.round(h / 16) + 'px sans-serif';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'top';
+                ctx.fillText(prompt, w / 20, h / 20, w * 0.9);
+            }
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(w / 20, buttonsTop - h / 10);
+            ctx.lineTo(w * 0.95, buttonsTop - h / 10);
+            ctx.stroke();
+
+            await this.setCanvas(ctx, true);
+            await this.setInking(true);
+
+            return await new Promise((resolve, reject) => {
+                const done = (fn, value) => {
+                    clearTimeout(signing.timer);
+                    this.un(null, null, signing);
+                    if (signal) {
+                        signal.removeEventListener('abort', signing.onAbort);
+                    }
+                    fn(value);
+                };
+
+                signing.onAbort = () => { done(reject, signal.reason); };
+                if (signal) {
+                    signal.addEventListener('abort', signing.onAbort);
+                }
+                if (timeout > 0) {
+                    signing.timer = setTimeout(() => { done(reject, new Error('captureSignature: timeout')); }, timeout);
+                }
+
+                this.on('signatureCancel', () => { done(reject, new Error('captureSignature: cancelled')); }, signing);
+                this.on('connectionState', (state) => {
+                    if (state === 'disconnected' || state === 'lost') {
+                        done(reject, new Error('captureSignature: device ' + state));
+                    }
+                }, signing);
+
+                this.on('signatureConfirm', (svg, path) => {
+                    const check = this.checkSignature(rules);
+
+                    // rules not met: go on signing
+                    if (!check.accepted) {
+                        this.#raiseEvent('signatureRejected', [check.reasons, check.metrics]);
+                        this.setInking(true).catch((e) => { done(reject, e); });
+                        return;
+                    }
+
+                    done(resolve, {
+                        svg: svg,
+                        path: path,
+                        metadata: {
+                            model: this.#config.model,
+                            eSerial: this.#config.eSerial,
+                            firmware: this.#config.firmware,
+                            pointCount: check.metrics.pointCount,
+                            strokeCount: check.metrics.strokeCount,
+                            duration: check.metrics.duration,
+                            confirmedAt: new Date()
+                        },
+                        metrics: check.metrics
+                    });
+                }, signing);
+            });
+
+        } finally {
+            this.#signing = null;
+            this.#buttons.list = previousButtons;
+            this.#buttons.pressed = null;
+
+            // idle pad, a failure must not replace the result or the error of the capture, it raises the error event
+            if (this.isConnected()) {
+                try {
+                    await this.setInking(false);
+                    await this.clearScreen();
+                } catch (e) {
+                    this.#raiseEvent('error', [e, 'captureSignature']);
+                }
+            }
+        }
+    }
+
+    // -------------------------------------------------
+    // private methods
+    // -------------------------------------------------
+
+    /**
+     * open the device and read its configuration
+     * @returns {Boolean} false if no device was chosen
+     */
+    async #openDevice() {
+        this.#device = this.#session.device;
+
+        // check if we had already a connection, then we can reopen without prompting
+        if (!this.#device) {
+            let devices = await this.#transport.getDevices();
+            for (let i = 0; i < devices.length; i++) {
+                let device = devices[i];
+                if (this.#getModelProfile(device)) {
+                    this.#device = device;
+                }
+            }
+        }
+
+        // connect to new hid device
+        if (!this.#device) {
+            let dev = await this.#transport.requestDevice({ filters: this.getDeviceFilters() });
+            if (dev.length < 1 || dev[0] === null) {
+                return false;
+            }
+            this.#device = dev[0];
+        }
+
+        // model profile
+        this.#model = this.#getModelProfile(this.#device);
+        if (!this.#model) {
+            this.#device = null;
+            throw new Error('connect(): unsupported device');
+        }
+        this.#config.pid = this.#model.pid;
+        this.#config.model = this.#model.model;
+        this.#config.colorDepth = this.#model.colorDepth;
+        this.#config.imageEncodings = this.#model.imageEncodings.slice();
+        this.#config.imageEncoding = this.#model.imageEncodings[0];
+
+        // Open the device
+        if (!this.#device.opened) {
+            await this.#device.open();
+        }
+
+        // the counters of the device start again
+        this.#timing.deviceTime = null;
+        this.#timing.sequence = null;
+
+        // Set handler to read input reports (this contains pen data), only once per device
+        this.#device.removeEventListener("inputreport", this.#session.onInputReport);
+        this.#device.addEventListener("inputreport", this.#session.onInputReport);
+
+        // Read info and capabilities from device and fill the data, nothing else is sent in between
+        await this.#enqueue(async (job) => {
+            let dv = await this.#readData(this.#command.capability, job);
+            this.#config.tabletMaxX = dv.getUint16(1);
+            this.#config.tabletMaxY = dv.getUint16(3);
+            this.#config.tabletMaxPressure = dv.getUint16(5);
+            this.#config.width = dv.getUint16(7);
+            this.#config.height = dv.getUint16(9);
+            this.#config.maxReportRate = dv.getUint8(11);
+            this.#config.scaleFactorX = this.#config.tabletMaxX / this.#config.width;
+            this.#config.scaleFactorY = this.#config.tabletMaxY / this.#config.height;
+
+            // information
+            dv = await this.#readData(this.#command.information, job);
+            this.#config.deviceName = this.#dataViewString(dv, 1, 7);
+            this.#config.firmware = dv.getUint8(8) + "." + dv.getUint8(9) + "." + dv.getUint8(10) + "." + dv.getUint8(11);
+
+            // eSerial
+            if (this.#hasReport('eSerial')) {
+                dv = await this.#readData(this.#command.eSerial, job);
+                this.#config.eSerial = this.#dataViewString(dv, 1);
+            }
+
+            // backgroundColor, monochrome models have a white background and black ink
+            if (this.#hasReport('backgroundColor')) {
+                dv = await this.#readData(this.#command.backgroundColor, job);
+                this.#config.backgroundColor = [dv.getUint8(1), dv.getUint8(2), dv.getUint8(3)];
+            } else {
+                this.#config.backgroundColor = [255, 255, 255];
+            }
+
+            // penColorAndWidth
+            if (this.#hasReport('penColorAndWidth')) {
+                dv = await this.#readData(this.#command.penColorAndWidth, job);
+                this.#config.penColor = [dv.getUint8(1), dv.getUint8(2), dv.getUint8(3)];
+                this.#config.penWidth = dv.getUint8(4);
+            } else {
+                this.#config.penColor = [0, 0, 0];
+            }
+
+            // brightness
+            if (this.#hasReport('brightness')) {
+                dv = await this.#readData(this.#command.brightness, job);
+                this.#config.brightness = dv.getUint8(1);
+            }
+
+            // inkMode
+            dv = await this.#readData(this.#command.inkMode, job);
+            this.#config.inkMode = dv.getUint8(1) === 1;
+
+            // writingMode
+            dv = await this.#readData(this.#command.writingMode, job);
+            this.#config.writingMode = dv.getUint8(1);
+
+            // writingArea
+            dv = await this.#readData(this.#command.writingArea, job);
+            this.#config.writingArea = [dv.getUint16(1, true), dv.getUint16(3, true), dv.getUint16(5, true), dv.getUint16(7, true)];
+        }, 'high');
+        this.#setSvgBackground();
+
+        // set the svg viewbox to width & height
+        this.#setSvgSize();
+
+        return true;
+    }
+
+    /**
+     * set the connection state and raise the connectionState event
+     * @param {String} state
+     * @param {HIDDevice|null} device
+     * @param {Error|null} error
+     * @returns {undefined}
+     */
+    #setConnectionState(state, device, error=null) {
+        this.#session.state = state;
+
+        // the idle time runs while the device is open, a reopened device is restored to the normal screen
+        if (state === 'ready') {
+            this.#power.standby = false;
+            this.#resetIdleTimer();
+        } else if (state === 'lost' || state === 'disconnected') {
+            this.#stopIdleTimer();
+        }
+
+        this.#raiseEvent('connectionState', [state, device, error]);
+    }
+
+    /**
+     * reopen the device after it was plugged in again and restore the settings, the screen and the capture session
+     * @returns {Promise}
+     */
+    async #restoreSession() {
+        if (this.#session.restoring) {
+            return this.#session.restoring;
+        }
+
+        const settings = this.#session.settings, captureSessionId = this.#config.captureSessionId;
+        this.#session.restoring = (async () => {
+            if (!await this.connect()) {
+                return;
+            }
+
+            // settings in the order the device needs them
+            const order = ['setImageEncoding', 'setBackgroundColor', 'setPenColorAndWidth', 'setBrightness', 'setWritingMode', 'setWritingArea'];
+            for (let i = 0; i < order.length; i++) {
+                if (settings[order[i]] && order[i] === 'setBrightness') {
+
+                    // the reopened device gets the backlight at once, without waiting for the rate limit
+                    this.#config.brightness = settings.setBrightness[0];
+                    await this.#writeBrightness(this.#config.brightness, true);
+
+                } else if (settings[order[i]]) {
+                    await this[order[i]].apply(this, settings[order[i]]);
+                }
+            }
+
+            // screen: image with the ink drawn so far
+            if (this.#lastImage || this.#signaturePath.length > 0) {
+                await this.#redrawScreen();
+            }
+
+            if (settings.setInking) {
+                await this.setInking.apply(this, settings.setInking);
+            }
+
+            if (captureSessionId !== null) {
+                await this.startCapture(captureSessionId);
+            }
+
+            this.#setConnectionState('restored', this.#device);
+
+        })().catch((e) => {
+            this.#setConnectionState('lost', this.#device, e);
+        }).finally(() => {
+            this.#session.restoring = null;
+        });
+
+        return this.#session.restoring;
+    }
+
+    /**
+     * store the arguments of a setter to restore them after a reconnect
+     * @param {String} name setter
+     * @param {Array} args
+     * @returns {undefined}
+     */
+    #rememberSetting(name, args) {
+        this.#session.settings[name] = args;
+    }
+
+    /**
+     * discard the session key, the device has to exchange a new one
+     * @returns {undefined}
+     */
+    #resetCaptureState() {
+        this.#encryption.key = null;
+        this.#encryption.sessionId = null;
+        this.#encryption.queue = Promise.resolve();
+    }
+
+    /**
+     * write the backlight intensity, at most once per brightnessInterval.
+     * calls within the interval wait and write the last value.
+     * @param {Number} intensity 0-3
+     * @param {Boolean} immediate write without the rate limit, e.g. to restore a reopened device
+     * @returns {Promise}
+     */
+    async #writeBrightness(intensity, immediate=false) {
+        const b = this.#power.brightness;
+        b.value = intensity;
+
+        const write = () => {
+            b.last = Date.now();
+            const value = b.value;
+
+            // Check if device already has this value, to avoid unnecessary writes
+            return this.#enqueue(async (job) => {
+                let dv = await this.#readData(this.#command.brightness, job);
+                if (dv.getUint8(1) !== value) {
+                    await this.#sendData(this.#command.brightness, new Uint8Array([value, 0]), job);
+                }
+            });
+        };
+
+        // a delayed write still pending writes the same value again, without change it is only read
+        if (immediate) {
+            return write();
+        }
+
+        if (!b.pending) {
+            b.pending = this.#wait(Math.max(0, b.last + this.#power.brightnessInterval - Date.now())).then(() => {
+                b.pending = null;
+                return write();
+            });
+        }
+
+        return b.pending;
+    }
+
+    /**
+     * write the backlight intensity without waiting for the rate limit, e.g. for the power transitions.
+     * a later write within the interval replaces the value, a failure raises the error event.
+     * @param {Number} intensity 0-3
+     * @param {String} source source of the error event
+     * @returns {undefined}
+     */
+    #writeBrightnessInBackground(intensity, source) {
+        this.#writeBrightness(intensity).catch((e) => {
+            this.#raiseEvent('error', [e, source]);
+        });
+    }
+
+    /**
+     * the pen or the api was active, standby after the idle time
+     * @returns {undefined}
+     */
+    #resetIdleTimer() {
+        this.#power.lastActivity = Date.now();
+
+        if (this.#power.timer === null && this.#power.idleTimeout > 0 && this.isConnected()) {
+            this.#power.timer = setTimeout(() => { this.#onIdleTimer(); }, this.#power.idleTimeout);
+        }
+    }
+
+    /**
+     * stop the idle time
+     * @returns {undefined}
+     */
+    #stopIdleTimer() {
+        clearTimeout(this.#power.timer);
+        this.#power.timer = null;
+    }
+
+    /**
+     * idle timer elapsed: standby or wait for the rest of the idle time after the last activity
+     * @returns {undefined}
+     */
+    #onIdleTimer() {
+        this.#power.timer = null;
+
+        const rest = this.#power.lastActivity + this.#power.idleTimeout - Date.now();
+        if (rest > 0) {
+            this.#power.timer = setTimeout(() => { this.#onIdleTimer(); }, rest);
+            return;
+        }
+
+        this.#enterStandby().catch((e) => {
+            this.#raiseEvent('error', [e, 'standby']);
+        });
+    }
+
+    /**
+     * show the standby image and lower the backlight
+     * @returns {Promise}
+     */
+    async #enterStandby() {
+        if (this.#power.standby || !this.isConnected()) {
+            return;
+        }
+        this.#power.standby = true;
+        this.#raiseEvent('standby', []);
+
+        this.#power.transition = this.#power.transition.catch(() => {}).then(async () => {
+            if (this.#power.standbyImage) {
+                const encoding = this.#config.imageEncoding;
+                if (!this.#power.standbyData || this.#power.standbyData.encoding !== encoding) {
+                    this.#power.standbyData = {encoding: encoding, data: await this.prepareImage(this.#power.standbyImage, {encoding: encoding})};
+                }
+
+                // the image and the stored signature are kept to restore the screen
+                await this.#writeImage(this.#power.standbyData.data, encoding, null);
+            }
+            if (this.#hasReport('brightness')) {
+                this.#writeBrightnessInBackground(this.#power.standbyBrightness, 'standby');
+            }
+        });
+
+        return this.#power.transition;
+    }
+
+    /**
+     * leave the standby: restore the screen and the backlight
+     * @param {String} reason pen or api
+     * @param {Boolean} redraw restore the screen, false if it is replaced anyway
+     * @returns {Promise}
+     */
+    async #leaveStandby(reason, redraw) {
+        this.#resetIdleTimer();
+        if (!this.#power.standby) {
+            return;
+        }
+        this.#power.standby = false;
+        this.#raiseEvent('wake', [reason]);
+
+        const standbyImage = this.#power.standbyImage;
+        this.#power.transition = this.#power.transition.catch(() => {}).then(async () => {
+            if (standbyImage && redraw && reason === 'pen') {
+                await this.#redrawScreenWhileWriting();
+            } else if (standbyImage && redraw) {
+                await this.#redrawScreen();
+            }
+            if (this.#hasReport('brightness') && this.#config.brightness !== null) {
+                this.#writeBrightnessInBackground(this.#config.brightness, 'wake');
+            }
+        });
+
+        return this.#power.transition;
+    }
+
+    /**
+     * write an image to the pad screen or to a rectangle of the screen
+     * @param {Uint8Array|Array} imageData
+     * @param {String} encoding
+     * @param {AbortSignal|null} signal
+     * @param {Object|null} area {x, y, width, height}, null for the whole screen
+     * @returns {Promise}
+     */
+    async #writeImage(imageData, encoding, signal, area=null) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
+
+        let data = imageData instanceof Uint8Array ? imageData : Uint8Array.from(imageData);
+        if (encoding === '1bitZlib') {
+            data = await this.#zlibCompress(data);
+        }
+
+        // the whole image is one job, other reports wait until it is written
+        await this.#enqueue(async (job) => {
+
+            // a failed upload is abandoned and sent again from the start, single reports are not repeated
+            await this.#retrySequence(async () => {
+
+                // send start packet, then chunked data packets, then end packet
+                if (area) {
+
+                    // encoding and rectangle: left top and right bottom pixel
+                    const pk = this.#createPacket(9);
+                    pk.view.setUint8(0, this.#encoding[encoding]);
+                    pk.view.setUint16(1, area.x, true);
+                    pk.view.setUint16(3, area.y, true);
+                    pk.view.setUint16(5, area.x + area.width - 1, true);
+                    pk.view.setUint16(7, area.y + area.height - 1, true);
+                    await this.#sendData(this.#command.writeImageArea, pk.data, job);
+
+                } else {
+                    await this.#sendData(this.#command.writeImageStart, new Uint8Array([this.#encoding[encoding]]), job);
+                }
+
+                const chunkSize = this.#config.chunkSize;
+                for (let offset = 0; offset < data.length; offset += chunkSize) {
+                    if (signal && signal.aborted) {
+
+                        // abandon the image, the screen keeps its content
+                        await this.#sendData(this.#command.writeImageEnd, new Uint8Array([1]), job);
+                        signal.throwIfAborted();
+                    }
+
+                    const chunk = data.subarray(offset, offset + chunkSize);
+                    const pk = this.#createPacket(chunkSize + 2);
+                    pk.view.setUint16(0, chunk.length, true);
+                    pk.data.set(chunk, 2);
+                    await this.#sendData(this.#command.writeImageData, pk.data, job);
+
+                    this.#raiseEvent('imageProgress', [{
+                        sent: Math.min(offset + chunkSize, data.length),
+                        total: data.length,
+                        encoding: encoding
+                    }]);
+                }
+
+                await this.#sendData(this.#command.writeImageEnd, new Uint8Array([0]), job);
+            }, () => {
+                return this.#sendData(this.#command.writeImageEnd, new Uint8Array([1]), job);
+            }, signal);
+        }, 'low');
+    }
+
+    /**
+     * redraw the pad screen: last image (or background color) with the ink of the stored signature
+     * @param {Object|null} area {x, y, width, height} to redraw a rectangle, null for the whole screen
+     * @returns {Promise}
+     */
+    async #redrawScreen(area=null) {
+        const w = this.#config.width, h = this.#config.height, r = area || {x: 0, y: 0, width: w, height: h};
+        const encoding = this.#lastImage ? this.#lastImage.encoding : this.#config.imageEncoding;
+        const ctx = this.#createCanvas(w, h).getContext('2d');
+
+        if (this.#lastImage) {
+            ctx.putImageData(new ImageData(this.#decodeImage(this.#lastImage.data, encoding), w, h), 0, 0);
+        } else {
+            ctx.fillStyle = 'rgb(' + this.#config.backgroundColor.join(',') + ')';
+            ctx.fillRect(0, 0, w, h);
+        }
+
+        this.#drawInk(ctx, 1);
+
+        await this.#writeImage(this.#encodeImage(ctx.getImageData(r.x, r.y, r.width, r.height).data, encoding, r.width, r.height), encoding, null, area);
+    }
+
+    /**
+     * redraw the pad screen while the pen may write, e.g. on wake up by the pen.
+     * The pad draws no ink during the upload, the ink written meanwhile is drawn afterwards.
+     * @returns {Promise}
+     */
+    async #redrawScreenWhileWriting() {
+        if (!this.#config.inkMode) {
+            await this.#redrawScreen();
+            return;
+        }
+
+        await this.#sendData(this.#command.inkMode, new Uint8Array([0]), null, 'high');
+        try {
+            let from = this.#signaturePath.length;
+            await this.#redrawScreen();
+
+            // the ink of the packets received during the upload, until the pen rests
+            for (let i = 0; i < 10 && from < this.#signaturePath.length; i++) {
+                const area = this.#getInkArea(from);
+                from = this.#signaturePath.length;
+                if (area) {
+                    await this.#redrawScreen(this.#hasReport('writeImageArea') ? area : null);
+                }
+            }
+
+        } finally {
+            if (this.#config.inkMode && this.isConnected()) {
+                await this.#sendData(this.#command.inkMode, new Uint8Array([1]), null, 'high');
+            }
+        }
+    }
+
+    /**
+     * bounding rectangle of the ink from a packet on, with the stroke width
+     * @param {Number} from index in the signature path, the previous packet is included as start of the line
+     * @returns {Object|null} {x, y, width, height} in screen pixels, null without ink
+     */
+    #getInkArea(from) {
+        const margin = Math.ceil(Math.max(this.#inkOptions.maxWidth, this.#getStrokeWidth(1)) / 2) + 2;
+        let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+
+        for (let i = Math.max(0, from - 1); i < this.#signaturePath.length; i++) {
+            if (this.#isInking(this.#signaturePath[i])) {
+                const sp = this.#getScreenPoint(this.#signaturePath[i]);
+                x1 = Math.min(x1, sp.x);
+                y1 = Math.min(y1, sp.y);
+                x2 = Math.max(x2, sp.x);
+                y2 = Math.max(y2, sp.y);
+            }
+        }
+
+        if (x1 === Infinity) {
+            return null;
+        }
+
+        x1 = Math.max(0, x1 - margin);
+        y1 = Math.max(0, y1 - margin);
+        x2 = Math.min(this.#config.width - 1, x2 + margin);
+        y2 = Math.min(this.#config.height - 1, y2 + margin);
+        return {x: x1, y: y1, width: x2 - x1 + 1, height: y2 - y1 + 1};
+    }
+
+    /**
+     * redraw the svg from the stored signature path
+     * @returns {undefined}
+     */
+    #redrawSvg() {
+        if (!this.#svgElement) {
+            return;
+        }
+
+        this.#svgElement.innerHTML = '';
+        this.#svgInk = null;
+        if (this.#lastImage && this.#lastImage.svgImage) {
+            this.#svgElement.append(this.#lastImage.svgImage);
+        }
+        if (this.#lastImage) {
+            this.#lastImage.svgAreas.forEach((svgArea) => { this.#svgElement.append(svgArea.image); });
+        }
+
+        this.#drawSignaturePathToCanvas(0);
+    }
+
+    /**
+     * draw the ink of the stored signature to a canvas
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Number} scale canvas pixels per screen pixel
+     * @returns {undefined}
+     */
+    #drawInk(ctx, scale) {
+        ctx.save();
+        ctx.scale(scale, scale);
+        ctx.fillStyle = 'rgb(' + this.#config.penColor.join(',') + ')';
+
+        let stroke = [];
+        for (let i = 0; i <= this.#signaturePath.length; i++) {
+            const p = this.#signaturePath[i];
+            if (p && this.#isInking(p)) {
+                stroke.push(p);
+            } else if (stroke.length > 0) {
+                ctx.fill(new Path2D(this.#getInkOutline(stroke, null)));
+                stroke = [];
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * raise a event
+     * @param {String} eventName
+     * @param {Array} args
+     * @returns {undefined}
+     */
+    #raiseEvent(eventName, args) {
+        const events = this.#events.filter((e) => { return e.eventName === eventName; });
+
+        // once() handlers are removed before they are called
+        if (events.some((e) => { return e.once; })) {
+            this.#events = this.#events.filter((e) => { return !(e.once && e.eventName === eventName); });
+        }
+
+        for (let i = 0; i < events.length; i++) {
+            events[i].callbackFn.apply(events[i].context || globalThis, args);
+        }
+    }
+
+    /**
+     * check if a HID event is for this instance: an instance with a device (see setDevice() and connect())
+     * only gets the events of its device. While the device is lost, any pad may be the device plugged in again.
+     * @param {HIDDevice} device
+     * @returns {Boolean}
+     */
+    #isOwnDevice(device) {
+        const own = this.#session.device || this.#device;
+        return !own || own === device || (!this.#session.device && this.#session.state === 'lost');
+    }
+
+    /**
+     * returns the profile of a supported model or null
+     * @param {HIDDevice} device
+     * @returns {Object|null}
+     */
+    #getModelProfile(device) {
+        if (device.vendorId !== this.#config.vid) {
+            return null;
+        }
+        return this.#models.find((m) => { return m.pid === device.productId; }) || null;
+    }
+
+    /**
+     * check if the connected model supports a report
+     * @param {String} name key of this.#command
+     * @returns {Boolean}
+     */
+    #hasReport(name) {
+        return !!this.#model && this.#model.reports.includes(name);
+    }
+
+    /**
+     * throw if the connected model does not support a report
+     * @param {String} name key of this.#command
+     * @returns {undefined}
+     */
+    #assertReport(name) {
+        if (!this.#hasReport(name)) {
+            throw new Error(name + ' not supported by ' + (this.#model ? this.#model.model : 'device'));
+        }
+    }
+
+    #onHidInputReport(event) {
+
+        // See WacomGSS_ReportHandlerFunctionTable on the SDK. read onPenData and onPenDataTimeCountSequence, depending
+        // of the write mode used (0/1), and their encrypted variants during a capture session.
+        if (event.reportId === this.#command.penData || event.reportId === this.#command.penDataTiming) {
+            this.#addPenPacket(this.#parsePenData(event.data, 0, event.reportId === this.#command.penDataTiming, this.#hostTime()));
+
+        } else if (event.reportId === this.#command.penDataEncrypted || event.reportId === this.#command.penDataTimingEncrypted) {
+
+            // decrypt in order of arrival, the timestamp is the arrival
+            const timestamp = this.#hostTime();
+            this.#encryption.queue = this.#encryption.queue.then(() => {
+                return this.#onEncryptedPenData(event.reportId, event.data, timestamp);
+            }).catch((e) => {
+                this.#raiseEvent('error', [e, 'decrypt']);
+            });
+        }
+    }
+
+    /**
+     * create a pen data packet from a pointer event on the svg element
+     * @param {PointerEvent} e
+     * @param {Boolean} rdy pointer in proximity
+     * @param {Boolean} sw pointer touching the surface
+     * @returns {undefined}
+     */
+    #onPointer(e, rdy, sw) {
+        const rect = this.#svgElement.getBoundingClientRect(), size = this.getOutputSize();
+        if (rect.width === 0 || rect.height === 0) {
+            return;
+        }
+
+        // svg position to screen pixels, then to tablet units
+        const sp = this.#transformPoint(this.#invertMatrix(this.#getOutputMatrix()),
+            (e.clientX - rect.left) * size.width / rect.width, (e.clientY - rect.top) * size.height / rect.height);
+        const x = Math.min(this.#config.tabletMaxX, Math.max(0, Math.round(sp.x * this.#config.scaleFactorX)));
+        const y = Math.min(this.#config.tabletMaxY, Math.max(0, Math.round(sp.y * this.#config.scaleFactorY)));
+        const out = this.#transformPoint(this.#getOutputMatrix(), x / this.#config.scaleFactorX, y / this.#config.scaleFactorY);
+
+        // devices without pressure report 0.5 while touching
+        const press = sw ? Math.round((e.pressure || 0.5) * this.#config.tabletMaxPressure) : 0;
+
+        this.#pointer.rdy = rdy;
+        this.#addPenPacket({
+            rdy: rdy,
+            sw: sw,
+            press: press,
+            cpress: press / this.#config.tabletMaxPressure,
+            cx: Math.round(out.x),
+            cy: Math.round(out.y),
+            x: x,
+            y: y,
+            seq: this.#pointer.seq++ & 0xFFFF,
+            time: Math.round(e.timeStamp) & 0xFFFF,
+            timestamp: typeof performance !== 'undefined' && performance.timeOrigin ? performance.timeOrigin + e.timeStamp : Date.now(),
+            deviceTime: null,
+            sequence: null
+        });
+    }
+
+    /**
+     * read a pen data packet from a report
+     * @param {DataView} dv
+     * @param {Number} offset start of the pen data in the DataView
+     * @param {Boolean} withTiming penDataTiming report with time and sequence number
+     * @param {Number} timestamp arrival of the report, see #hostTime()
+     * @returns {Object} packet
+     */
+    #parsePenData(dv, offset, withTiming, timestamp) {
+        const out = this.#transformPoint(this.#getOutputMatrix(), dv.getUint16(offset + 2) / this.#config.scaleFactorX, dv.getUint16(offset + 4) / this.#config.scaleFactorY);
+        let packet = {
+            rdy: (dv.getUint16(offset) & 0x8000) !== 0,                              // true if pen is in proximity of the tablet
+            sw: (dv.getUint16(offset) & 0x1000) !== 0,                               // true if pen is in contact with tablet
+            press: (dv.getUint16(offset) & 0x3FF),                                   // absolute value from device
+            cpress: (dv.getUint16(offset) & 0x3FF) / this.#config.tabletMaxPressure, // relative value 0 ... 1
+            cx: Math.round(out.x),                                                   // output pixels, see setOutputTransform()
+            cy: Math.round(out.y),                                                   // output pixels, see setOutputTransform()
+            x: dv.getUint16(offset + 2),                                             // Tablet units
+            y: dv.getUint16(offset + 4),                                             // Tablet units
+            seq: null,
+            time: null,
+            timestamp: timestamp,                                                    // host time of arrival
+            deviceTime: null,                                                        // time, unwrapped
+            sequence: null                                                           // seq, unwrapped
+        };
+
+        if (withTiming) {
+            packet.time = dv.getUint16(offset + 6); // Extra timing
+            packet.seq = dv.getUint16(offset + 8); // Extra incremental number
+        }
+
+        return packet;
+    }
+
+    /**
+     * store, draw and raise a pen data packet
+     * @param {Object} packet
+     * @returns {undefined}
+     */
+    #addPenPacket(packet) {
+        this.#unwrapTiming(packet);
+
+        // pen data is activity, the pen in proximity wakes the pad up
+        this.#resetIdleTimer();
+        if (this.#power.standby && packet.rdy) {
+            this.#leaveStandby('pen', true).catch((e) => {
+                this.#raiseEvent('error', [e, 'wake']);
+            });
+        }
+
+        // pen on a button: raise only the penData event
+        if (this.#handleButtons(packet)) {
+            this.#raiseEvent('penData', [packet]);
+            this.#raisePenEvents(packet, false);
+            return;
+        }
+
+        // signature stack
+        this.#signaturePath.push(packet);
+
+        // draw last added point
+        this.#drawSignaturePathToCanvas(this.#signaturePath.length - 1);
+
+        // callback
+        this.#raiseEvent('penData', [packet]);
+        this.#raisePenEvents(packet, true);
+    }
+
+    /**
+     * raise the events on changes of the pen state: hoverEnter, penDown, outOfWritingArea, penUp, strokeEnd, hoverLeave
+     * @param {Object} packet
+     * @param {Boolean} stored packet is part of the signature (not on a button)
+     * @returns {undefined}
+     */
+    #raisePenEvents(packet, stored) {
+        const state = this.#penState, down = packet.rdy && packet.sw;
+
+        if (packet.rdy && !state.rdy) {
+            this.#raiseEvent('hoverEnter', [packet]);
+        }
+        if (down && !state.sw) {
+            this.#raiseEvent('penDown', [packet]);
+        }
+
+        // leaving the writing area while writing
+        const sp = this.#getScreenPoint(packet), inArea = this.#isInWritingArea(sp.x, sp.y);
+        if (down && !inArea && state.inArea) {
+            this.#raiseEvent('outOfWritingArea', [packet]);
+        }
+
+        if (!down && state.sw) {
+            this.#raiseEvent('penUp', [packet]);
+
+            const strokes = stored ? this.getStrokes() : [];
+            if (strokes.length > 0 && strokes[strokes.length - 1].endIndex === this.#signaturePath.length - 1) {
+                this.#raiseEvent('strokeEnd', [strokes[strokes.length - 1]]);
+            }
+        }
+        if (!packet.rdy && state.rdy) {
+            this.#raiseEvent('hoverLeave', [packet]);
+        }
+
+        state.rdy = packet.rdy;
+        state.sw = down;
+        state.inArea = down ? inArea : true;
+    }
+
+    /**
+     * Unwrap the 16 bit time and seq of the device to continuous counters and detect missing reports.
+     * @param {Object} packet
+     * @returns {undefined}
+     */
+    #unwrapTiming(packet) {
+        if (packet.time === null || packet.seq === null) {
+            return;
+        }
+
+        const last = this.#timing;
+        if (last.sequence === null) {
+            packet.deviceTime = packet.time;
+            packet.sequence = packet.seq;
+        } else {
+            const seqStep = (packet.seq - last.seq) & 0xFFFF;
+
+            // the counter went back (pad reopened, report replayed): go on from the last packet
+            if (seqStep === 0 || seqStep > last.maxGap) {
+                packet.deviceTime = last.deviceTime;
+                packet.sequence = last.sequence + 1;
+            } else {
+                packet.deviceTime = last.deviceTime + ((packet.time - last.time) & 0xFFFF);
+                packet.sequence = last.sequence + seqStep;
+            }
+
+            if (packet.sequence > last.sequence + 1) {
+                this.#raiseEvent('dataLoss', [{
+                    missing: packet.sequence - last.sequence - 1,
+                    fromSequence: last.sequence + 1,
+                    toSequence: packet.sequence - 1,
+                    timestamp: packet.timestamp
+                }]);
+            }
+        }
+
+        last.deviceTime = packet.deviceTime;
+        last.sequence = packet.sequence;
+        last.time = packet.time;
+        last.seq = packet.seq;
+    }
+
+    /**
+     * monotonic host time in ms since epoch
+     * @returns {Number}
+     */
+    #hostTime() {
+        if (typeof performance !== 'undefined' && performance.timeOrigin) {
+            return performance.timeOrigin + performance.now();
+        }
+        return Date.now();
+    }
+
+    /**
+     * hit test the buttons. a button is pressed if the pen goes down and up inside it.
+     * @param {Object} packet
+     * @returns {Boolean} true if the packet belongs to a stroke on a button
+     */
+    #handleButtons(packet) {
+        const state = this.#buttons, down = packet.rdy && packet.sw;
+        let onButton = state.pressed !== null;
+
+        const sp = this.#getScreenPoint(packet);
+
+        if (down && !state.penDown) {
+            state.pressed = this.#getButtonAt(sp.x, sp.y);
+            onButton = state.pressed !== null;
+
+        } else if (!down && state.penDown && state.pressed) {
+            const button = state.pressed;
+            state.pressed = null;
+
+            if (this.#getButtonAt(sp.x, sp.y) === button) {
+                this.#raiseEvent('buttonPress', [Object.assign({}, button), packet]);
+                this.#runButtonAction(button).catch((e) => {
+                    this.#raiseEvent('error', [e, 'buttonAction']);
+                });
+            }
+        }
+
+        state.penDown = down;
+        return onButton;
+    }
+
+    /**
+     * returns the button at a screen position
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {Object|null}
+     */
+    #getButtonAt(x, y) {
+        return this.#buttons.list.find((b) => {
+            return x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height;
+        }) || null;
+    }
+
+    /**
+     * run the built-in action of a button
+     * @param {Object} button
+     * @returns {Promise}
+     */
+    async #runButtonAction(button) {
+        switch (button.action) {
+            case 'clear':
+                await this.#clearInk();
+                break;
+
+            case 'confirm':
+                await this.setInking(false);
+                this.#raiseEvent('signatureConfirm', [this.getSvg(), this.#signaturePath.slice()]);
+                break;
+
+            case 'cancel':
+                await this.setInking(false);
+
+                // a running capture clears the screen afterwards
+                if (this.#signing) {
+                    this.#clearSignatureData();
+                } else {
+                    await this.#clearInk();
+                }
+                this.#raiseEvent('signatureCancel', []);
+                break;
+        }
+    }
+
+    /**
+     * remove the ink from the pad and the stored signature.
+     * the last image is sent again, because clearScreen() clears the buttons too.
+     * @returns {Promise}
+     */
+    async #clearInk() {
+        await this.#restoreImage(this.#lastImage);
+    }
+
+    /**
+     * send a image again, e.g. the last image or the screen before a document
+     * @param {Object|null} image see #lastImage, null to clear the screen
+     * @returns {Promise}
+     */
+    async #restoreImage(image) {
+        if (!image) {
+            await this.clearScreen();
+            return;
+        }
+
+        await this.setImage(image.data, {encoding: image.encoding});
+
+        // setImage() clears the svg, add the images again
+        this.#lastImage.svgImage = image.svgImage;
+        this.#lastImage.svgAreas = image.svgAreas;
+        this.#redrawSvg();
+    }
+
+    /**
+     * split a document to pages: {lines} for text or {image}
+     * @param {Object} doc document {text} or {pages}
+     * @param {Object} style
+     * @returns {Promise} resolves to the pages
+     */
+    async #getDocumentPages(doc, style) {
+        if (Array.isArray(doc.pages)) {
+            if (doc.pages.length === 0) {
+                throw new Error('showDocument: no pages');
+            }
+            return await Promise.all(doc.pages.map(async (image) => {
+                return {image: image instanceof Blob ? await createImageBitmap(image) : image};
+            }));
+        }
+
+        if (typeof doc.text !== 'string') {
+            throw new Error('showDocument: document needs text or pages');
+        }
+
+        const w = this.#config.width, h = this.#config.height, margin = Math.round(w / 32);
+        const ctx = this.#createCanvas(1, 1).getContext('2d');
+        ctx.font = style.textSize + 'px ' + style.font;
+
+        const lines = this.#wrapText(ctx, doc.text, w - 2 * margin);
+        const perPage = Math.max(1, Math.floor((h - Math.round(h / 8) - 2 * margin) / Math.round(style.textSize * 1.25))), pages = [];
+        for (let i = 0; i < lines.length; i += perPage) {
+            pages.push({lines: lines.slice(i, i + perPage)});
+        }
+
+        return pages;
+    }
+
+    /**
+     * draw a page of a document with the page indicator and send it with setCanvas(), the controls are drawn as buttons
+     * @param {Object} page {lines} or {image}
+     * @param {Number} index
+     * @param {Number} count
+     * @param {Number} barHeight height of the control bar
+     * @param {Object} style
+     * @returns {Promise}
+     */
+    async #showDocumentPage(page, index, count, barHeight, style) {
+        const w = this.#config.width, h = this.#config.height, margin = Math.round(w / 32), contentHeight = h - barHeight;
+        const size = this.getOutputSize(), ctx = this.#createCanvas(size.width, size.height).getContext('2d');
+
+        ctx.fillStyle = style.background;
+        ctx.fillRect(0, 0, size.width, size.height);
+        ctx.setTransform.apply(ctx, this.#getOutputMatrix());
+        ctx.fillStyle = style.color;
+
+        if (page.image) {
+            const scale = Math.min(w / page.image.width, contentHeight / page.image.height);
+            const iw = page.image.width * scale, ih = page.image.height * scale;
+            ctx.drawImage(page.image, (w - iw) / 2, (contentHeight - ih) / 2, iw, ih);
+
+        } else {
+            const lineHeight = Math.round(style.textSize * 1.25);
+            ctx.font = style.textSize + 'px ' + style.font;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            page.lines.forEach((line, i) => {
+                ctx.fillText(line, margin, margin + i * lineHeight);
+            });
+        }
+
+        // page indicator
+        ctx.font = Math.round(barHeight / 3) + 'px ' + style.font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText((index + 1) + ' / ' + count, w / 2, h - barHeight / 2);
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        await this.setCanvas(ctx, true);
+    }
+
+    /**
+     * wrap a text to lines of a maximum width with the font of the context
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {String} text '\n' for new lines
+     * @param {Number} maxWidth
+     * @returns {Array} lines
+     */
+    #wrapText(ctx, text, maxWidth) {
+        const lines = [];
+
+        String(text).split('\n').forEach((paragraph) => {
+            let line = '';
+            paragraph.split(/\s+/).forEach((word) => {
+                const test = line ? line + ' ' + word : word;
+                if (line && ctx.measureText(test).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = test;
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    /**
+     * OK, Clear and Cancel buttons on the bottom of the screen
+     * @returns {Array}
+     */
+    #getDefaultButtons() {
+        const w = this.#config.width, h = this.#config.height;
+        const bw = Math.round(w / 4), bh = Math.round(h / 8), gap = Math.round(w / 16), y = h - bh - Math.round(h / 30);
+        const font = Math.round(bh / 2) + 'px sans-serif';
+
+        return [
+            {id: 'cancel', label: 'Cancel', x: gap, y: y, width: bw, height: bh, action: 'cancel', style: {font: font}},
+            {id: 'clear', label: 'Clear', x: Math.round((w - bw) / 2), y: y, width: bw, height: bh, action: 'clear', style: {font: font}},
+            {id: 'confirm', label: 'OK', x: w - gap - bw, y: y, width: bw, height: bh, action: 'confirm', style: {font: font}}
+        ];
+    }
+
+    /**
+     * draw the buttons to a canvas
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Number} offsetX
+     * @param {Number} offsetY
+     * @returns {undefined}
+     */
+    #drawButtons(ctx, offsetX, offsetY) {
+        this.#buttons.list.forEach((b) => {
+            const x = b.x + offsetX, y = b.y + offsetY;
+
+            ctx.fillStyle = b.style.background;
+            ctx.fillRect(x, y, b.width, b.height);
+
+            if (b.style.borderWidth > 0) {
+                ctx.lineWidth = b.style.borderWidth;
+                ctx.strokeStyle = b.style.border;
+                ctx.strokeRect(x, y, b.width, b.height);
+            }
+
+            ctx.font = b.style.font;
+            ctx.fillStyle = b.style.color;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(b.label, x + b.width / 2, y + b.height / 2);
+        });
+    }
+
+    /**
+     * create a canvas, OffscreenCanvas if available
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    #createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        if (!this.#document) {
+            throw new Error('no canvas available');
+        }
+
+        const canvas = this.#document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * decrypt an encrypted pen data report.
+     * Report: session id (4 bytes), AES block (16 bytes) with two pen data packets (6 bytes each)
+     * or one pen data packet with timing (10 bytes). The pad always fills both slots, a zero slot is
+     * a valid packet (out of proximity at 0/0).
+     * @param {Number} reportId
+     * @param {DataView} data
+     * @param {Number} timestamp arrival of the report
+     * @returns {Promise}
+     */
+    async #onEncryptedPenData(reportId, data, timestamp) {
+        if (!this.#encryption.key || data.getUint32(0) !== this.#encryption.sessionId) {
+            return;
+        }
+
+        const block = await this.#aesDecryptBlock(new Uint8Array(data.buffer, data.byteOffset + 4, 16));
+        const dv = new DataView(block.buffer);
+
+        if (reportId === this.#command.penDataTimingEncrypted) {
+            this.#addPenPacket(this.#parsePenData(dv, 0, true, timestamp));
+
+        } else {
+            this.#addPenPacket(this.#parsePenData(dv, 0, false, timestamp));
+            this.#addPenPacket(this.#parsePenData(dv, 6, false, timestamp));
+        }
+    }
+
+    /**
+     * Exchange a new AES session key: the device generates the key and
+     * returns it encrypted with our RSA public key (RSA-OAEP).
+     * @param {Object} job running queue job
+     * @returns {CryptoKey}
+     */
+    async #exchangeSessionKey(job) {
+        const cmd = this.#encryptionCommand, subtle = globalThis.crypto.subtle;
+
+        const keyPair = await subtle.generateKey({
+            name: 'RSA-OAEP',
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: 'SHA-1'
+        }, false, ['encrypt', 'decrypt']);
+
+        const jwk = await subtle.exportKey('jwk', keyPair.publicKey);
+        const modulus = this.#base64UrlToBytes(jwk.n), exponent = this.#base64UrlToBytes(jwk.e);
+
+        // encryption type and our public key
+        await this.#sendEncryptionCommand(cmd.setEncryptionType, 0, [cmd.symmetricKeyAes128, cmd.paddingOaep, cmd.asymmetricKeyRsa2048], job);
+        await this.#sendEncryptionCommand(cmd.setParameterBlock, cmd.rsaE, exponent, job);
+        for (let i = 0; i < modulus.length; i += 64) {
+            await this.#sendEncryptionCommand(cmd.setParameterBlock, cmd.rsaN, modulus.subarray(i, i + 64), job);
+        }
+
+        // let the device generate the session key
+        await this.#sendEncryptionCommand(cmd.generateSymmetricKey, 0, [], job);
+
+        let ready = false;
+        for (let tryCnt = 0; tryCnt < 50 && !ready; tryCnt++) {
+            let dv = await this.#readData(this.#command.encryptionStatus, job);
+            if (dv.getUint8(2) !== 0) {
+                throw new Error('key exchange failed, device result code ' + dv.getUint8(2));
+            }
+            ready = dv.getUint8(1) === 1;
+            if (!ready) {
+                await this.#wait(20);
+            }
+        }
+        if (!ready) {
+            throw new Error('key exchange failed, device did not generate a session key');
+        }
+
+        // read the encrypted session key in blocks of 64 bytes
+        const encryptedKey = new Uint8Array(modulus.length);
+        for (let i = 0; i < encryptedKey.length / 64; i++) {
+            await this.#sendEncryptionCommand(cmd.getParameterBlock, cmd.rsaC, [i], job);
+            let dv = await this.#readData(this.#command.encryptionCommand, job);
+            encryptedKey.set(new Uint8Array(dv.buffer, dv.byteOffset + 4, 64), i * 64);
+        }
+
+        const rawKey = await subtle.decrypt({name: 'RSA-OAEP'}, keyPair.privateKey, encryptedKey);
+        return await subtle.importKey('raw', rawKey, {name: 'AES-CBC'}, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * send a encryptionCommand report: command, parameter index, data length, data (max. 64 bytes)
+     * @param {Number} command
+     * @param {Number} index
+     * @param {Array|Uint8Array} data
+     * @param {Object} job running queue job
+     * @returns {Promise}
+     */
+    async #sendEncryptionCommand(command, index, data, job) {
+        let pk = this.#createPacket(67);
+        pk.data.set([command, index, data.length]);
+        pk.data.set(data, 3);
+        await this.#sendData(this.#command.encryptionCommand, pk.data, job);
+    }
+
+    /**
+     * decrypt a single AES-ECB block with the session key.
+     * WebCrypto has no ECB mode: the block is decrypted as AES-CBC with a zero IV,
+     * followed by a second block crafted to decrypt to a valid PKCS#7 padding.
+     * @param {Uint8Array} block 16 bytes
+     * @returns {Uint8Array} 16 bytes
+     */
+    async #aesDecryptBlock(block) {
+        const subtle = globalThis.crypto.subtle, key = this.#encryption.key;
+        const iv = new Uint8Array(block), padding = new Uint8Array(16).fill(16);
+
+        const paddingBlock = new Uint8Array(await subtle.encrypt({name: 'AES-CBC', iv: iv}, key, padding)).subarray(0, 16);
+
+        const data = new Uint8Array(32);
+        data.set(iv, 0);
+        data.set(paddingBlock, 16);
+
+        return new Uint8Array(await subtle.decrypt({name: 'AES-CBC', iv: new Uint8Array(16)}, key, data));
+    }
+
+    /**
+     * SHA-256 fingerprint of a key (hex)
+     * @param {Uint8Array} spki
+     * @returns {Promise}
+     */
+    static async #fingerprint(spki) {
+        const hash = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', spki));
+        return Array.from(hash, (b) => { return b.toString(16).padStart(2, '0'); }).join('');
+    }
+
+    /**
+     * convert a hex string to bytes
+     * @param {String} hex
+     * @returns {Uint8Array}
+     */
+    static #hexToBytes(hex) {
+        if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+            throw new Error('invalid hex string');
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * extract the subjectPublicKeyInfo from a X.509 certificate (PEM or base64 DER)
+     * Certificate ::= SEQUENCE { tbsCertificate SEQUENCE { [0] version, serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo, ... } ... }
+     * @param {String} certificate
+     * @returns {Uint8Array}
+     */
+    static #spkiFromCertificate(certificate) {
+        const der = Uint8Array.from(atob(certificate.replace(/-----[^-]+-----/g, '').replace(/\s/g, '')), (c) => { return c.charCodeAt(0); });
+
+        // read a DER element: {start of content, end}
+        const element = (offset) => {
+            let len = der[offset + 1], start = offset + 2;
+            if (len & 0x80) {
+                const n = len & 0x7F;
+                len = 0;
+                for (let i = 0; i < n; i++) {
+                    len = len * 256 + der[start + i];
+                }
+                start += n;
+            }
+            if (start + len > der.length) {
+                throw new Error('invalid certificate');
+            }
+            return {tag: der[offset], offset: offset, start: start, end: start + len};
+        };
+
+        const tbs = element(element(0).start);
+        let el = element(tbs.start);
+
+        // skip the optional version [0]
+        if (el.tag === 0xA0) {
+            el = element(el.end);
+        }
+
+        // serialNumber, signature, issuer, validity, subject
+        for (let i = 0; i < 5; i++) {
+            el = element(el.end);
+        }
+
+        return der.slice(el.offset, el.end);
+    }
+
+    /**
+     * use the settings of a recorded device for rendering
+     * @param {Object} device getTabletInfo() of the recording
+     * @returns {undefined}
+     */
+    #applyRecordedConfig(device) {
+        ['width', 'height', 'tabletMaxX', 'tabletMaxY', 'tabletMaxPressure', 'scaleFactorX', 'scaleFactorY', 'maxReportRate',
+            'pid', 'model', 'penColor', 'penWidth', 'backgroundColor', 'inkMode', 'writingMode', 'writingArea'].forEach((k) => {
+            if (k in device) {
+                this.#config[k] = device[k];
+            }
+        });
+
+        // defaults for incomplete data
+        this.#config.penColor = this.#config.penColor || [0, 0, 0];
+        this.#config.inkMode = this.#config.inkMode === null ? true : this.#config.inkMode;
+
+        this.#model = this.#models.find((m) => { return m.pid === this.#config.pid; }) || null;
+        this.#setSvgSize();
+        this.#setSvgBackground();
+    }
+
+    /**
+     * time offset in ms of each packet relative to the first one
+     * @param {Array} path
+     * @returns {Array}
+     */
+    #getReplayTimes(path) {
+        const interval = 1000 / (this.#config.maxReportRate || 200), times = [];
+        let t = 0;
+
+        for (let i = 0; i < path.length; i++) {
+            if (i > 0) {
+                const p = path[i], prev = path[i - 1];
+                if (typeof p.time === 'number' && typeof prev.time === 'number') {
+                    t += (p.time - prev.time) & 0xFFFF; // 16 bit device counter
+                } else if (typeof p.seq === 'number' && typeof prev.seq === 'number') {
+                    t += ((p.seq - prev.seq) & 0xFFFF) * interval;
+                } else if (typeof p.timestamp === 'number' && typeof prev.timestamp === 'number') {
+                    t += Math.max(0, p.timestamp - prev.timestamp);
+                } else {
+                    t += interval;
+                }
+            }
+            times.push(t);
+        }
+
+        return times;
+    }
+
+    /**
+     * create a blob of the svg
+     * @returns {Blob}
+     */
+    #getSvgBlob() {
+        let xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>' + "\n";
+
+        // add raw infos to svg comment
+        let rawData = "\n" + '<!-- raw: ' + JSON.stringify({device: this.getTabletInfo(), path: this.#signaturePath}) + "-->\n";
+
+        // without document there is no svg element, create an empty one
+        let svg = this.#svgElement ? this.#svgElement.outerHTML : '<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+
+        // create blob
+        return new Blob([xmlHead, svg, rawData], {type: 'image/svg+xml'});
+    }
+
+    /**
+     * clear stored signature data
+     * @returns {undefined}
+     */
+    #clearSignatureData() {
+        this.#signaturePath = [];
+        if (this.#svgElement) {
+            this.#svgElement.innerHTML = '';
+        }
+        this.#svgInk = null;
+    }
+
+    /**
+     * set the svg viewbox and size to the output size
+     * @returns {undefined}
+     */
+    #setSvgSize() {
+        if (!this.#svgElement) {
+            return;
+        }
+
+        let w = this.getOutputSize().width, h = this.getOutputSize().height;
+        this.#svgElement.setAttribute('version', '2.0');
+        this.#svgElement.setAttribute('viewBox', '0 0 ' + w + ' ' + h);
+        this.#svgElement.setAttribute('width', w + 'px');
+        this.#svgElement.setAttribute('height', h + 'px');
+    }
+
+    /**
+     * set the svg background to the background color
+     * @returns {undefined}
+     */
+    #setSvgBackground() {
+        if (this.#svgElement && this.#config.backgroundColor) {
+            this.#svgElement.style.backgroundColor = 'rgb(' + this.#config.backgroundColor.join(',') + ')';
+        }
+    }
+
+    /**
+     * draw all points to the canvas
+     * @param {Number} fromOffset
+     * @returns {undefined}
+     */
+    #drawSignaturePathToCanvas(fromOffset=0) {
+        if (!this.#svgElement) {
+            return;
+        }
+
+        for (let i=fromOffset; i < this.#signaturePath.length; i++) {
+            let point = this.#signaturePath[i];
+
+            if (this.#isInking(point)) {
+                if (!this.#svgInk) {
+                    this.#startInkPath();
+                }
+
+                // add this point
+                this.#svgInk.points.push(point);
+
+            // finish line
+            } else if (this.#svgInk) {
+                this.#updateInkPath(true);
+                this.#svgInk = null;
+            }
+        }
+
+        // the stroke in progress is redrawn with the new points
+        if (this.#svgInk) {
+            this.#updateInkPath(false);
+        }
+    }
+
+    /**
+     * position of a packet in screen pixels
+     * @param {Object} packet
+     * @returns {Object} {x, y}
+     */
+    #getScreenPoint(packet) {
+        return {
+            x: this.#config.scaleFactorX ? Math.round(packet.x / this.#config.scaleFactorX) : packet.cx,
+            y: this.#config.scaleFactorY ? Math.round(packet.y / this.#config.scaleFactorY) : packet.cy
+        };
+    }
+
+    /**
+     * transform from screen pixels to output pixels, see setOutputTransform()
+     * @returns {Array} matrix [a, b, c, d, e, f]
+     */
+    #getOutputMatrix() {
+        const c = this.#config, wa = c.writingArea, fit = c.outputFitWritingArea && !!wa;
+        const area = fit ? {x: wa[0], y: wa[1], width: wa[2] - wa[0], height: wa[3] - wa[1]} : {x: 0, y: 0, width: c.width, height: c.height};
+        let scale = c.outputScale, offsetX = c.outputOffsetX || 0, offsetY = c.outputOffsetY || 0;
+
+        // the rotated area, centered in the output
+        if (fit) {
+            const size = this.getOutputSize(), rotated = c.outputRotation % 180 !== 0;
+            const w = rotated ? area.height : area.width, h = rotated ? area.width : area.height;
+            scale = Math.min(size.width / w, size.height / h);
+            offsetX += (size.width - w * scale) / 2;
+            offsetY += (size.height - h * scale) / 2;
+        }
+
+        return this.#getMatrix(area, c.outputRotation, c.outputFlipX, c.outputFlipY, scale, offsetX, offsetY);
+    }
+
+    /**
+     * transform of a screen area: moved to the origin, rotated clockwise, flipped, scaled and moved by the offset
+     * @param {Object} area {x, y, width, height}
+     * @param {Number} rotation 0, 90, 180 or 270
+     * @param {Boolean} flipX
+     * @param {Boolean} flipY
+     * @param {Number} scale
+     * @param {Number} offsetX
+     * @param {Number} offsetY
+     * @returns {Array} matrix [a, b, c, d, e, f]
+     */
+    #getMatrix(area, rotation, flipX, flipY, scale, offsetX, offsetY) {
+        const w = area.width, h = area.height, rotated = rotation % 180 !== 0;
+        const rotations = {0: [1, 0, 0, 1, 0, 0], 90: [0, 1, -1, 0, h, 0], 180: [-1, 0, 0, -1, w, h], 270: [0, -1, 1, 0, 0, w]};
+
+        let m = [1, 0, 0, 1, -area.x, -area.y];
+        m = this.#multiplyMatrix(rotations[rotation], m);
+        m = this.#multiplyMatrix([flipX ? -1 : 1, 0, 0, flipY ? -1 : 1, flipX ? (rotated ? h : w) : 0, flipY ? (rotated ? w : h) : 0], m);
+        return this.#multiplyMatrix([scale, 0, 0, scale, offsetX, offsetY], m);
+    }
+
+    /**
+     * combine two transforms: first m, then t
+     * @param {Array} t matrix [a, b, c, d, e, f]
+     * @param {Array} m matrix [a, b, c, d, e, f]
+     * @returns {Array}
+     */
+    #multiplyMatrix(t, m) {
+        return [
+            t[0] * m[0] + t[2] * m[1],
+            t[1] * m[0] + t[3] * m[1],
+            t[0] * m[2] + t[2] * m[3],
+            t[1] * m[2] + t[3] * m[3],
+            t[0] * m[4] + t[2] * m[5] + t[4],
+            t[1] * m[4] + t[3] * m[5] + t[5]
+        ];
+    }
+
+    /**
+     * inverse of a transform
+     * @param {Array} m matrix [a, b, c, d, e, f]
+     * @returns {Array}
+     */
+    #invertMatrix(m) {
+        const det = m[0] * m[3] - m[1] * m[2];
+        return [
+            m[3] / det,
+            -m[1] / det,
+            -m[2] / det,
+            m[0] / det,
+            (m[2] * m[5] - m[3] * m[4]) / det,
+            (m[1] * m[4] - m[0] * m[5]) / det
+        ];
+    }
+
+    /**
+     * transform a point
+     * @param {Array} m matrix [a, b, c, d, e, f]
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {Object} {x, y}
+     */
+    #transformPoint(m, x, y) {
+        return {x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5]};
+    }
+
+    /**
+     * check if coordinate is in writing area
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {Boolean}
+     */
+    #isInWritingArea(x, y) {
+        let area = this.#config.writingArea;
+        if (!area) {
+            return true;
+        }
+
+        const x1 = area[0], y1 = area[1], x2 = area[2], y2 = area[3];
+
+        if (x < x1 || x > x2) {
+            return false;
+        }
+        if (y < y1 || y > y2) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * start a new stroke, drawn as filled outline
+     * @returns {undefined}
+     */
+    #startInkPath() {
+        const element = this.#document.createElementNS("http://www.w3.org/2000/svg", "path");
+        element.setAttribute('fill', 'rgb(' + this.#config.penColor.join(',') + ')');
+        element.setAttribute('stroke', 'none');
+        this.#svgElement.append(element);
 
-        // save to config
-        this.#config.inkMode = !!enabled;
+        this.#svgInk = {element: element, points: [], parts: [], partStart: 0};
     }
 
     /**
-     * Clear screen to background color
+     * update the outline of the stroke in progress.
+     * While writing, only the tail of the stroke is rebuilt: every 64 points the tail is kept as own path.
+     * When the pen is lifted, the whole stroke is simplified and smoothed at once.
+     * @param {Boolean} finished the pen was lifted
+     * @returns {undefined}
      */
-    async clearScreen() {
-        if (!this.isConnected()) {
-            throw new Error('device not connected');
+    #updateInkPath(finished) {
+        const ink = this.#svgInk, matrix = this.#getOutputMatrix();
+
+        if (finished) {
+            ink.parts.forEach((part) => { part.remove(); });
+            ink.parts = [];
+            ink.partStart = 0;
+            ink.element.setAttribute('d', this.#getInkOutline(ink.points, matrix));
+            return;
         }
-        await this.#sendData(this.#command.clearScreen, new Uint8Array([0]));
 
-        // clear current signature path
-        this.#clearSignatureData();
+        // keep the tail as part, the next tail starts at its last point
+        if (ink.points.length - ink.partStart > 64) {
+            const part = this.#document.createElementNS("http://www.w3.org/2000/svg", "path");
+            part.setAttribute('fill', ink.element.getAttribute('fill'));
+            part.setAttribute('stroke', 'none');
+            part.setAttribute('d', this.#getInkOutline(ink.points.slice(ink.partStart), matrix));
+            this.#svgElement.insertBefore(part, ink.element);
 
-        // set background color
-        this.#svgElement.style.backgroundColor = 'rgb(' + this.#config.backgroundColor.join(',') + ')';
+            ink.parts.push(part);
+            ink.partStart = ink.points.length - 1;
+        }
+
+        ink.element.setAttribute('d', this.#getInkOutline(ink.points.slice(ink.partStart), matrix));
     }
 
     /**
-     * send a canvas to the pad. the canvas should have the dimension of the pad.
-     * @param {CanvasRenderingContext2D} ctx Canvas 2D
-     * @param {Boolean} drawToSvg draw image do svg
-     * @returns {Promise}
+     * Create the outline of a stroke as svg path data:
+     * the points are simplified (Ramer-Douglas-Peucker) and smoothed, the width follows the pressure.
+     * Both sides of the stroke are drawn as quadratic curves through the midpoints, the ends are round.
+     * @param {Array} packets packets of the stroke
+     * @param {Array|null} matrix transform from screen pixels to the output, null for screen pixels
+     * @returns {String}
      */
-    async setCanvas(ctx, drawToSvg=true) {
-        let outputSize = this.getOutputSize();
+    #getInkOutline(packets, matrix) {
+        const opt = this.#inkOptions, n = (v) => { return Math.round(v * 100) / 100; };
+        const m = matrix || [1, 0, 0, 1, 0, 0], scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+        // position in screen pixels without rounding if possible, transformed to the output
+        let pts = packets.map((p) => {
+            const sp = this.#transformPoint(m,
+                this.#config.scaleFactorX ? p.x / this.#config.scaleFactorX : p.cx,
+                this.#config.scaleFactorY ? p.y / this.#config.scaleFactorY : p.cy);
+            return {
+                x: sp.x,
+                y: sp.y,
+                w: this.#getStrokeWidth(p.cpress) * scale
+            };
+        });
 
-        if (outputSize.width !== ctx.canvas.width || outputSize.height !== ctx.canvas.height) {
-            console.warn('setCanvas(): provided canvas has not the same size as the output area.');
-        }
+        pts = this.#simplifyPoints(pts, opt.simplify);
 
-        if (this.#config.width + this.#config.outputOffsetX > ctx.canvas.width) {
-            throw new Error('setCanvas(): canvas is too small');
+        // smoothing: moving average of position and width, the last point is kept
+        for (let i = 1; i < pts.length - 1; i++) {
+            const prev = pts[i - 1], f = 1 - opt.smoothing;
+            pts[i] = {x: prev.x + (pts[i].x - prev.x) * f, y: prev.y + (pts[i].y - prev.y) * f, w: prev.w + (pts[i].w - prev.w) * f};
         }
-        if (this.#config.height + this.#config.outputOffsetY > ctx.canvas.height) {
-            throw new Error('setCanvas(): canvas is too small');
+
+        // single point: circle
+        const first = pts[0], last = pts[pts.length - 1];
+        if (pts.length === 1 || pts.every((p) => { return Math.abs(p.x - first.x) < 0.01 && Math.abs(p.y - first.y) < 0.01; })) {
+            const r = n(Math.max(first.w, last.w) / 2);
+            return 'M' + n(first.x - r) + ' ' + n(first.y) + 'a' + r + ' ' + r + ' 0 1 0 ' + (r * 2) + ' 0a' + r + ' ' + r + ' 0 1 0 ' + (-r * 2) + ' 0Z';
         }
 
-        //Obtain image pixels
-        let imageData = ctx.getImageData(this.#config.outputOffsetX, this.#config.outputOffsetY, this.#config.width, this.#config.height);
+        // offset both sides along the normal
+        const left = [], right = [];
+        pts.forEach((p, i) => {
+            const a = pts[Math.max(0, i - 1)], b = pts[Math.min(pts.length - 1, i + 1)];
+            const len = Math.hypot(b.x - a.x, b.y - a.y) || 1, nx = -(b.y - a.y) / len * p.w / 2, ny = (b.x - a.x) / len * p.w / 2;
+            left.push({x: p.x + nx, y: p.y + ny});
+            right.push({x: p.x - nx, y: p.y - ny});
+        });
+        right.reverse();
+
+        // quadratic curves through the midpoints
+        const curve = (side) => {
+            let d = '';
+            for (let i = 1; i < side.length - 1; i++) {
+                d += 'Q' + n(side[i].x) + ' ' + n(side[i].y) + ' ' + n((side[i].x + side[i + 1].x) / 2) + ' ' + n((side[i].y + side[i + 1].y) / 2);
+            }
+            return d + 'L' + n(side[side.length - 1].x) + ' ' + n(side[side.length - 1].y);
+        };
+        const cap = (w, p) => { return 'A' + n(w / 2) + ' ' + n(w / 2) + ' 0 0 1 ' + n(p.x) + ' ' + n(p.y); };
 
-        //Remap pixels to BGR 24bpp
-        const rgb24 = new Uint8Array((imageData.data.length / 4) * 3);
+        return 'M' + n(left[0].x) + ' ' + n(left[0].y) + curve(left) + cap(last.w, right[0]) + curve(right) + cap(first.w, left[0]) + 'Z';
+    }
 
-        let i = 0, j = 0;
-        while (i < imageData.data.length) {
-            //Remap pixels, discard alpha
-            rgb24[j++] = imageData.data[i + 2];
-            rgb24[j++] = imageData.data[i + 1];
-            rgb24[j++] = imageData.data[i + 0];
-            i += 4;
+    /**
+     * Ramer-Douglas-Peucker simplification
+     * @param {Array} pts [{x, y, w}]
+     * @param {Number} tolerance max. distance in pixels
+     * @returns {Array}
+     */
+    #simplifyPoints(pts, tolerance) {
+        if (pts.length < 3 || tolerance <= 0) {
+            return pts.slice();
         }
 
-        // get image as object url to paint afterwards to the canvas
-        let dataUrl = null;
+        const keep = new Uint8Array(pts.length), stack = [[0, pts.length - 1]];
+        keep[0] = keep[pts.length - 1] = 1;
+
+        while (stack.length > 0) {
+            const range = stack.pop(), a = pts[range[0]], b = pts[range[1]];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            let maxDist = 0, index = -1;
+
+            for (let i = range[0] + 1; i < range[1]; i++) {
+                const p = pts[i];
+                const dist = len === 0 ? Math.hypot(p.x - a.x, p.y - a.y) : Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len;
 
-        if (drawToSvg && ctx.canvas) {
-            if (ctx.canvas.toDataURL) { // HTMLCanvasElement
-                dataUrl = ctx.canvas.toDataURL();
+                // keep width changes too
+                const widthDist = Math.abs(p.w - (a.w + b.w) / 2);
+                if (Math.max(dist, widthDist) > maxDist) {
+                    maxDist = Math.max(dist, widthDist);
+                    index = i;
+                }
+            }
 
-            } else if (ctx.canvas.convertToBlob) { // OffscreenCanvas
-                dataUrl = await this.#blobToDataURL(await ctx.canvas.convertToBlob());
+            if (index !== -1 && maxDist > tolerance) {
+                keep[index] = 1;
+                stack.push([range[0], index], [index, range[1]]);
             }
         }
 
-        await this.setImage(rgb24);
+        return pts.filter((p, i) => { return keep[i] === 1; });
+    }
 
-        // draw image to svg
-        if (dataUrl) {
-            let svgImage = document.createElementNS("http://www.w3.org/2000/svg", "image");
-            svgImage.setAttribute('x', 0);
-            svgImage.setAttribute('y', 0);
-            svgImage.setAttribute('width', this.#config.width);
-            svgImage.setAttribute('height', this.#config.height);
-            svgImage.setAttribute('href', dataUrl);
-            this.#svgElement.append(svgImage);
+    /**
+     * stroke width in screen pixels
+     * @param {Number} pressure 0 ... 1
+     * @returns {Number}
+     */
+    #getStrokeWidth(pressure) {
+
+        // writing mode 1: stroke width from Pressure
+        if (this.#config.writingMode === 1) {
+            const opt = this.#inkOptions, curve = Math.min(1, Math.max(0, opt.widthCurve(pressure)));
+            return opt.minWidth + (opt.maxWidth - opt.minWidth) * curve;
+        }
+
+        // fixed stroke width
+        if (this.#model && this.#model.penWidths && this.#config.penWidth in this.#model.penWidths) {
+            return this.#model.penWidths[this.#config.penWidth];
         }
+        return 1;
     }
 
     /**
-     * Send a raw image to the pad.
-     * @param {Array} imageData Image must be BGR 24bpp 800x480.
+     * check if a point leaves ink
+     * @param {Object} point
+     * @returns {Boolean}
      */
-    async setImage(imageData) {
-        if (!this.isConnected()) {
-            throw new Error('device not connected');
+    #isInking(point) {
+        if (!point.rdy || !point.sw || !this.#config.inkMode) {
+            return false;
         }
+        const sp = this.#getScreenPoint(point);
+        return this.#isInWritingArea(sp.x, sp.y);
+    }
 
-        if (imageData.length !== (this.#config.width * this.#config.height * 3)) {
-            throw new Error('setImage: invalid imageData');
+    /**
+     * Send direct usb hid feature report (internal usage)
+     * Without job, the report is queued as own job.
+     * @param {Number} reportId ID of the report to read. Use one of this.#command
+     * @param {Uint8Array} data Data to send
+     * @param {Object|null} job running queue job
+     * @param {String} priority high, normal or low, if queued as own job
+     */
+    async #sendData(reportId, data, job=null, priority='normal') {
+        if (!job) {
+            return await this.#enqueue((j) => { return this.#sendData(reportId, data, j); }, priority);
         }
+        await this.#runReport(reportId, 'send', () => { return this.#device.sendFeatureReport(reportId, data); }, 0);
+    }
 
-        // check if we are already sending data at this moment
-        let tryCnt = 0;
-        while (this.#deviceIsSending) {
-            if (tryCnt < 20) {
-                tryCnt++;
-                await this.#wait(500);
-            } else {
-                throw new Error('cannot setImage: sending blocked for more than 10 seconds by other calls');
-            }
+    /**
+     * Get a report from the device (internal usage)
+     * Without job, the report is queued as own job.
+     * @param {Number} reportId ID of the report to read. Use one of this.#command
+     * @param {Object|null} job running queue job
+     * @returns {DataView} data returned
+     */
+    async #readData(reportId, job=null) {
+        if (!job) {
+            return await this.#enqueue((j) => { return this.#readData(reportId, j); });
         }
-        this.#deviceIsSending = true;
-
-        const imageDataBulks = this.#splitToBulks(imageData, this.#config.chunkSize);
+        return await this.#runReport(reportId, 'read', () => { return this.#device.receiveFeatureReport(reportId); }, this.#queue.retries);
+    }
 
-        //Only 24BGR is supported now, send start packet, then chunked data packets, then end packet
-        await this.#sendData(this.#command.writeImageStart, new Uint8Array([this.#config.imageFormat24BGR]));
+    /**
+     * Run a job exclusive on the device. Jobs run one after another, higher priority first,
+     * the same priority in order of the calls.
+     * @param {Function} fn async function(job), the reports of the job are sent with this job
+     * @param {String} priority high, normal or low
+     * @returns {Promise} resolves to the result of fn
+     */
+    #enqueue(fn, priority='normal') {
+        return new Promise((resolve, reject) => {
+            const job = {fn: fn, priority: this.#queue.priorities[priority], resolve: resolve, reject: reject};
+            const index = this.#queue.jobs.findIndex((j) => { return j.priority < job.priority; });
 
-        imageDataBulks.forEach(async (e) => {
-            await this.#sendData(this.#command.writeImageData, new Uint8Array([e.length, 0].concat(e)));
+            this.#queue.jobs.splice(index === -1 ? this.#queue.jobs.length : index, 0, job);
+            this.#runQueue();
         });
+    }
 
-        await this.#sendData(this.#command.writeImageEnd, new Uint8Array([0]));
+    /**
+     * run the queued jobs until the queue is empty
+     * @returns {Promise}
+     */
+    async #runQueue() {
+        if (this.#queue.current) {
+            return;
+        }
 
-        // clear current signature path
-        this.#clearSignatureData();
+        while (this.#queue.jobs.length > 0) {
+            const job = this.#queue.current = this.#queue.jobs.shift();
+            try {
+                job.resolve(await job.fn(job));
+            } catch (e) {
+                job.reject(e);
+            }
+        }
+        this.#queue.current = null;
 
-        this.#deviceIsSending = false;
+        this.#queue.idle.splice(0).forEach((resolve) => { resolve(); });
     }
 
-    // -------------------------------------------------
-    // private methods
-    // -------------------------------------------------
-
     /**
-     * raise a event
-     * @param {String} eventName
-     * @param {Array} args
-     * @returns {undefined}
+     * wait until all queued jobs are done
+     * @returns {Promise}
      */
-    #raiseEvent(eventName, args) {
-        for (let i = 0; i < this.#events.length; i++) {
-            if (this.#events[i].eventName === eventName) {
-                this.#events[i].callbackFn.apply(this.#events[i].context || window, args);
-            }
+    #waitForQueue() {
+        if (!this.#queue.current && this.#queue.jobs.length === 0) {
+            return Promise.resolve();
         }
+        return new Promise((resolve) => { this.#queue.idle.push(resolve); });
     }
 
-    #onHidInputReport(event) {
-
-        // See WacomGSS_ReportHandlerFunctionTable on the SDK. just read onPenData and onPenDataTimeCountSequence, depending
-        // of the write mode used (0/1). Start/End capture toggles encryption which im not in the mood of implement, so not using it.
-        if (event.reportId === this.#command.penData || event.reportId === this.#command.penDataTiming) {
-
-            let packet = {
-                rdy: (event.data.getUint16(0) & 0x8000) !== 0,                              // true if pen is in proximity of the tablet
-                sw: (event.data.getUint16(0) & 0x1000) !== 0,                               // true if pen is in contact with tablet
-                press: (event.data.getUint16(0) & 0x3FF),                                   // absolute value from device
-                cpress: (event.data.getUint16(0) & 0x3FF) / this.#config.tabletMaxPressure, // relative value 0 ... 1
-                cx: Math.round(event.data.getUint16(2) / this.#config.scaleFactorX),        // relative to screen pixels
-                cy: Math.round(event.data.getUint16(4) / this.#config.scaleFactorY),        // relative to screen pixels
-                x: event.data.getUint16(2),                                                 // Tablet units
-                y: event.data.getUint16(4),                                                 // Tablet units
-                seq: null,
-                time: null
-            };
+    /**
+     * send or read a report with timeout and retries.
+     * Only reads are retried: a sent report may have reached the device before the timeout.
+     * A transfer is never started while the previous transfer is still running.
+     * @param {Number} reportId
+     * @param {String} action send or read, for the error message
+     * @param {Function} fn returns the promise of the transfer
+     * @param {Number} retries
+     * @returns {Promise} resolves to the result of fn
+     */
+    async #runReport(reportId, action, fn, retries) {
+        let error = null;
 
-            if (event.reportId === this.#command.penDataTiming) {
-                packet.time = event.data.getUint16(6); // Extra timing
-                packet.seq = event.data.getUint16(8); // Extra incremental number
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (!this.isConnected()) {
+                error = new Error('device not connected');
+                break;
             }
 
-            // signature stack
-            this.#signaturePath.push(packet);
-
-            // draw last added point
-            this.#drawSignaturePathToCanvas(this.#signaturePath.length - 1);
+            // a transfer that timed out is still running in the browser
+            if (!(await this.#waitForTransfer())) {
+                error = new Error('previous transfer did not finish');
+                break;
+            }
 
-            // callback
-            this.#raiseEvent('penData', [packet]);
+            const transfer = {done: false, promise: null};
+            transfer.promise = new Promise((resolve) => { resolve(fn()); }).finally(() => { transfer.done = true; });
+            this.#queue.transfer = transfer;
+
+            let timer = null;
+            try {
+                return await Promise.race([
+                    transfer.promise,
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => { reject(new Error('timeout after ' + this.#queue.timeout + ' ms')); }, this.#queue.timeout);
+                    })
+                ]);
+            } catch (e) {
+                error = e;
+            } finally {
+                clearTimeout(timer);
+            }
         }
+
+        const name = Object.keys(this.#command).find((k) => { return this.#command[k] === reportId; }) || 'unknown';
+        throw new Error(action + ' report 0x' + reportId.toString(16).toUpperCase().padStart(2, '0') + ' (' + name + ') failed: ' + error.message, {cause: error});
     }
 
     /**
-     * create a blob of the svg
-     * @returns {Blob}
+     * wait until the last transfer is done, at most the command timeout
+     * @returns {Promise} resolves to false if the transfer is still running
      */
-    #getSvgBlob() {
-        let xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>' + "\n";
+    async #waitForTransfer() {
+        const transfer = this.#queue.transfer;
+        if (!transfer || transfer.done) {
+            return true;
+        }
 
-        // add raw infos to svg comment
-        let rawData = "\n" + '<!-- raw: ' + JSON.stringify({device: this.getTabletInfo(), path: this.#signaturePath}) + "-->\n";
+        let timer = null;
+        const done = await Promise.race([
+            transfer.promise.then(() => { return true; }, () => { return true; }),
+            new Promise((resolve) => { timer = setTimeout(() => { resolve(false); }, this.#queue.timeout); })
+        ]);
+        clearTimeout(timer);
+        return done;
+    }
 
-        // create blob
-        return new Blob([xmlHead, this.#svgElement.outerHTML, rawData], {type: 'image/svg+xml'});
+    /**
+     * run a sequence of reports in a job, restarted as a whole after a failure.
+     * @param {Function} fn async function, sends the sequence
+     * @param {Function|null} reset async function, called before a restart, e.g. to abandon a image upload
+     * @param {AbortSignal|null} signal no restart if aborted
+     * @returns {Promise} resolves to the result of fn
+     */
+    async #retrySequence(fn, reset=null, signal=null) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (e) {
+                if (attempt >= this.#queue.retries || !this.isConnected() || (signal && signal.aborted)) {
+                    throw e;
+                }
+                if (reset) {
+                    try {
+                        await reset();
+                    } catch (resetError) {
+                        throw e;
+                    }
+                }
+            }
+        }
     }
 
     /**
-     * clear stored signature data
-     * @returns {undefined}
+     * Return an object containing an array of (len) bytes and a DataView for manipulation
+     * (internal usage)
+     * @param {any} len size in bytes of the packet
+     * @return {Object}
      */
-    #clearSignatureData() {
-        this.#signaturePath = [];
-        this.#svgElement.innerHTML = '';
-        this.#svgPolyLine = null;
+    #createPacket(len) {
+        let p = new Uint8Array(len);
+        let v = new DataView(p.buffer);
+        return {data: p, view: v};
     }
 
     /**
-     * draw all points to the canvas
-     * @param {Number} fromOffset
+     * throw if the connected model does not support an image encoding
+     * @param {String} encoding
      * @returns {undefined}
      */
-    #drawSignaturePathToCanvas(fromOffset=0) {
-
-        for (let i=fromOffset; i < this.#signaturePath.length; i++) {
-            let point = this.#signaturePath[i], prevPoint = i > 0 ? this.#signaturePath[i-1] : null;
-
-            if (point.rdy && point.sw && this.#config.inkMode && this.#isInWritingArea(point.cx, point.cy)) {
-                if (!this.#svgPolyLine) {
-                    this.#startPolyLine();
-
-                // if the pressure difference is high, we start a new polyline with different stroke-width
-                } else if (prevPoint && (Math.abs(point.cpress - prevPoint.cpress) > 0.02)) {
-                    this.#addPolyPoint(point.cx + this.#config.outputOffsetX, point.cy + this.#config.outputOffsetY);
-                    this.#startPolyLine();
-                }
-
-                // add this point
-                this.#addPolyPoint(point.cx + this.#config.outputOffsetX, point.cy + this.#config.outputOffsetY);
-
-            // finish line
-            } else if (this.#svgPolyLine) {
-                this.#svgPolyLine = null;
-            }
+    #assertImageEncoding(encoding) {
+        if (!(encoding in this.#encoding)) {
+            throw new Error('invalid image encoding ' + encoding);
+        }
+        if (!this.#model || !this.#model.imageEncodings.includes(encoding)) {
+            throw new Error('image encoding ' + encoding + ' not supported by ' + (this.#model ? this.#model.model : 'device'));
         }
     }
 
     /**
-     * check if coordinate is in writing area
-     * @param {Number} x
-     * @param {Number} y
-     * @returns {Boolean}
+     * throw if an area is not a rectangle within the screen
+     * @param {Object} area {x, y, width, height}
+     * @returns {undefined}
      */
-    #isInWritingArea(x, y) {
-        let area = this.#config.writingArea;
-        if (!area) {
-            return true;
-        }
-
-        const x1 = area[0], y1 = area[1], x2 = area[2], y2 = area[3];
-
-        if (x < x1 || x > x2) {
-            return false;
+    #assertImageArea(area) {
+        if (!area || ['x', 'y', 'width', 'height'].some((k) => { return typeof area[k] !== 'number' || area[k] % 1 !== 0; })) {
+            throw new Error('invalid image area');
         }
-        if (y < y1 || y > y2) {
-            return false;
+        if (area.x < 0 || area.y < 0 || area.width <= 0 || area.height <= 0
+                || area.x + area.width > this.#config.width || area.y + area.height > this.#config.height) {
+            throw new Error('image area outside of the screen');
         }
-
-        return true;
     }
 
     /**
-     * start a new line
+     * copy the pixels of an area to the last image, to restore the screen with the area
+     * @param {Uint8ClampedArray} rgba pixels of the area
+     * @param {Object} area {x, y, width, height}
+     * @param {String} encoding encoding of the area, used if there is no last image
      * @returns {undefined}
      */
-    #startPolyLine() {
-        let strokeWidth = 1;
-
-        // writing mode 1: stroke width from Pressure
-        if (this.#signaturePath.length > 0 && this.#config.writingMode === 1) {
-            let lastPressure = this.#signaturePath[this.#signaturePath.length-1].cpress;
-            strokeWidth = 1 + (lastPressure * 1.5);
+    #mergeImageArea(rgba, area, encoding) {
+        const w = this.#config.width, h = this.#config.height;
+        let screen;
 
+        if (this.#lastImage) {
+            encoding = this.#lastImage.encoding;
+            screen = this.#decodeImage(this.#lastImage.data, encoding);
         } else {
-            // fixed stroke width
-            switch (this.#config.penWidth) {
-                case 0: strokeWidth = 0.5; break;
-                case 1: strokeWidth = 2; break;
-                case 2: strokeWidth = 3; break;
-                case 3: strokeWidth = 4.5; break;
+            const c = this.#config.backgroundColor;
+            screen = new Uint8ClampedArray(w * h * 4);
+            for (let i = 0; i < screen.length; i += 4) {
+                screen[i] = c[0];
+                screen[i + 1] = c[1];
+                screen[i + 2] = c[2];
+                screen[i + 3] = 255;
             }
+            this.#lastImage = {data: null, encoding: encoding, svgImage: null, svgAreas: []};
+        }
+
+        for (let y = 0; y < area.height; y++) {
+            screen.set(rgba.subarray(y * area.width * 4, (y + 1) * area.width * 4), ((area.y + y) * w + area.x) * 4);
         }
 
-        this.#svgPolyLine = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
-        this.#svgPolyLine.setAttribute('fill', 'none');
-        this.#svgPolyLine.setAttribute('stroke', 'rgb(' + this.#config.penColor.join(',') + ')');
-        this.#svgPolyLine.setAttribute('stroke-width', strokeWidth);
-        this.#svgPolyLine.setAttribute('stroke-linecap', 'round');
-        this.#svgPolyLine.setAttribute('stroke-linejoin', 'round');
-        this.#svgElement.append(this.#svgPolyLine);
+        this.#lastImage.data = this.#encodeImage(screen, encoding);
     }
 
     /**
-     * append a new point to the svg.
-     * @param {Number} x
-     * @param {Number} y
+     * throw if a dithering is unknown
+     * @param {String} dithering
      * @returns {undefined}
      */
-    #addPolyPoint(x, y) {
-        let point = this.#svgElement.createSVGPoint();
-        point.x = x;
-        point.y = y;
-        this.#svgPolyLine.points.appendItem(point);
+    #assertDithering(dithering) {
+        if (!['threshold', 'ordered', 'floydSteinberg'].includes(dithering)) {
+            throw new Error('invalid dithering ' + dithering);
+        }
     }
 
     /**
-     * Send direct usb hid feature report (internal usage)
-     * @param {Number} reportId ID of the report to read. Use one of this.#command
-     * @param {Uint8Array} data Data to send
+     * draw RGBA pixels over the background color and reduce them to the colors of an encoding
+     * @param {Uint8ClampedArray} rgba
+     * @param {Number} width
+     * @param {Number} height
+     * @param {String} encoding
+     * @param {String|null} dithering default from setDithering()
+     * @returns {Uint8ClampedArray} opaque RGBA pixels
      */
-    async #sendData(reportId, data) {
-        if (!this.isConnected()) {
-            return;
+    #quantizeImage(rgba, width, height, encoding, dithering=null) {
+        dithering = dithering || this.#config.dithering;
+        this.#assertDithering(dithering);
+
+        const bg = this.#config.backgroundColor || [255, 255, 255];
+        const out = new Uint8ClampedArray(rgba.length);
+        const gray = encoding === '1bit' || encoding === '1bitZlib';
+
+        // distance between the colors of a channel, as decoded by the pad (565: low bits are zero)
+        const steps = gray ? [255, 255, 255] : (encoding === '16bit565' ? [8, 4, 8] : [1, 1, 1]);
+
+        // alpha compositing, grayscale for 1bit
+        const values = new Float32Array(rgba.length);
+        for (let i = 0; i < rgba.length; i += 4) {
+            const a = rgba[i + 3] / 255;
+            for (let c = 0; c < 3; c++) {
+                values[i + c] = rgba[i + c] * a + bg[c] * (1 - a);
+            }
+            if (gray) {
+                values[i] = values[i + 1] = values[i + 2] = values[i] * 0.299 + values[i + 1] * 0.587 + values[i + 2] * 0.114;
+            }
+        }
+
+        const bayer = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+        const nearest = (v, step) => {
+            return Math.min(Math.floor(255 / step) * step, Math.max(0, Math.round(v / step) * step));
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+
+                for (let c = 0; c < 3; c++) {
+                    const step = steps[c];
+                    let v = values[i + c];
+
+                    if (dithering === 'ordered' && step > 1) {
+                        v += (bayer[(y & 3) * 4 + (x & 3)] / 16 - 0.5) * step;
+                    }
+
+                    const q = nearest(v, step);
+                    out[i + c] = q;
+
+                    // distribute the error to the neighbours: right 7/16, bottom left 3/16, bottom 5/16, bottom right 1/16
+                    if (dithering === 'floydSteinberg' && step > 1) {
+                        const err = v - q;
+                        if (x + 1 < width) {
+                            values[i + 4 + c] += err * 7 / 16;
+                        }
+                        if (y + 1 < height) {
+                            const below = i + width * 4;
+                            if (x > 0) {
+                                values[below - 4 + c] += err * 3 / 16;
+                            }
+                            values[below + c] += err * 5 / 16;
+                            if (x + 1 < width) {
+                                values[below + 4 + c] += err / 16;
+                            }
+                        }
+                    }
+                }
+                out[i + 3] = 255;
+            }
         }
-        await this.#device.sendFeatureReport(reportId, data);
+
+        return out;
     }
 
     /**
-     * Get a report from the device (internal usage)
-     * @param {Number} reportId ID of the report to read. Use one of this.#command
-     * @returns {DataView} data returned or null
+     * size in bytes of an uncompressed image, default in the screen size
+     * @param {String} encoding
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {Number}
      */
-    async #readData(reportId) {
-        if (!this.isConnected()) {
-            return;
+    #getImageSize(encoding, width=this.#config.width, height=this.#config.height) {
+        const w = width, h = height;
+        switch (encoding) {
+            case '24bit': return w * h * 3;
+            case '16bit565': return w * h * 2;
+            default: return Math.ceil(w / 8) * h;
         }
-        return await this.#device.receiveFeatureReport(reportId);
     }
 
     /**
-     * Return an object containing an array of (len) bytes and a DataView for manipulation
-     * (internal usage)
-     * @param {any} len size in bytes of the packet
-     * @return {Object}
+     * convert RGBA pixels, default in the screen size, to an image encoding (uncompressed)
+     * @param {Uint8ClampedArray} rgba
+     * @param {String} encoding
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {Uint8Array}
      */
-    #createPacket(len) {
-        let p = new Uint8Array(len);
-        let v = new DataView(p.buffer);
-        return {data: p, view: v};
+    #encodeImage(rgba, encoding, width=this.#config.width, height=this.#config.height) {
+        const w = width, h = height;
+        const out = new Uint8Array(this.#getImageSize(encoding, w, h));
+
+        if (encoding === '24bit') {
+            for (let i = 0, j = 0; i < rgba.length; i += 4) {
+                //Remap pixels to BGR, alpha is composited by #quantizeImage()
+                out[j++] = rgba[i + 2];
+                out[j++] = rgba[i + 1];
+                out[j++] = rgba[i];
+            }
+
+        } else if (encoding === '16bit565') {
+            for (let i = 0, j = 0; i < rgba.length; i += 4, j += 2) {
+                const v = ((rgba[i] & 0xF8) << 8) | ((rgba[i + 1] & 0xFC) << 3) | (rgba[i + 2] >> 3);
+                out[j] = v & 0xFF;
+                out[j + 1] = v >> 8;
+            }
+
+        } else {
+            // 1bit: dark pixels are black
+            const rowBytes = Math.ceil(w / 8);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = (y * w + x) * 4;
+                    if (rgba[i] * 0.299 + rgba[i + 1] * 0.587 + rgba[i + 2] * 0.114 < 128) {
+                        out[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+                    }
+                }
+            }
+        }
+
+        return out;
     }
 
     /**
-     * Truncates a long array (arr) into smaller arrays of bulkSize
-     * (into an array, last item's length could be less than bulkSize)
-     * (internal usage)
-     * @param {Array} arr Array or derivated type containing full image data
-     * @param {Number} bulkSize size of the resulting subarrays
-     * @returns {Array} Array of arrays containing data splitted
+     * convert an uncompressed image encoding, default in the screen size, to RGBA pixels
+     * @param {Uint8Array} data
+     * @param {String} encoding
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {Uint8ClampedArray}
      */
-    #splitToBulks(arr, bulkSize) {
-        const bulks = [];
-        for (let i = 0; i < Math.ceil(arr.length / bulkSize); i++) {
-            let a = Array(bulkSize);
-            for (let x = i * bulkSize, z = 0; x < (i + 1) * bulkSize; x++, z++) {
-                a[z] = arr[x];
+    #decodeImage(data, encoding, width=this.#config.width, height=this.#config.height) {
+        const w = width, h = height, rgba = new Uint8ClampedArray(w * h * 4).fill(255);
+
+        if (encoding === '24bit') {
+            for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+                rgba[i] = data[j + 2];
+                rgba[i + 1] = data[j + 1];
+                rgba[i + 2] = data[j];
+            }
+
+        } else if (encoding === '16bit565') {
+            for (let i = 0, j = 0; i < rgba.length; i += 4, j += 2) {
+                const v = data[j] | (data[j + 1] << 8);
+                rgba[i] = (v >> 8) & 0xF8;
+                rgba[i + 1] = (v >> 3) & 0xFC;
+                rgba[i + 2] = (v << 3) & 0xF8;
+            }
+
+        } else {
+            const rowBytes = Math.ceil(w / 8);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    if (data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7))) {
+                        const i = (y * w + x) * 4;
+                        rgba[i] = rgba[i + 1] = rgba[i + 2] = 0;
+                    }
+                }
             }
-            bulks.push(a);
         }
 
-        return bulks;
+        return rgba;
+    }
+
+    /**
+     * compress data with zlib (deflate stream with zlib header)
+     * @param {Uint8Array} data
+     * @returns {Uint8Array}
+     */
+    async #zlibCompress(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
     }
 
     /**
@@ -953,6 +4669,74 @@ class WacomStu540 {
         return text;
     }
 
+    /**
+     * ISO/IEC 19794-7 scaling value: 5 bit exponent (bias 16), 11 bit mantissa, value = 2^(e-16) * (1 + m/2048)
+     * @param {Number} value
+     * @returns {Number}
+     */
+    #isoScalingValue(value) {
+        const e = Math.floor(Math.log2(value)), m = Math.round((value / Math.pow(2, e) - 1) * 2048);
+        return ((e + 16) << 11) | Math.min(m, 2047);
+    }
+
+    /**
+     * write the resolution to the metadata of a png (pHYs chunk) or jpeg (JFIF density)
+     * @param {Blob} blob
+     * @param {Number} dpi
+     * @returns {Blob}
+     */
+    async #setImageDpi(blob, dpi) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+
+        if (blob.type === 'image/jpeg') {
+            // APP0 JFIF header at offset 2: units at 13, density x/y at 14/16
+            if (String.fromCharCode.apply(null, data.subarray(6, 11)) === 'JFIF\0') {
+                const dv = new DataView(data.buffer);
+                dv.setUint8(13, 1);
+                dv.setUint16(14, dpi);
+                dv.setUint16(16, dpi);
+            }
+            return new Blob([data], {type: blob.type});
+        }
+
+        // png: insert pHYs after the IHDR chunk (8 bytes signature + 25 bytes IHDR)
+        const chunk = this.#createPacket(21), ppm = Math.round(dpi / 0.0254);
+        chunk.view.setUint32(0, 9);
+        chunk.data.set([0x70, 0x48, 0x59, 0x73], 4); // pHYs
+        chunk.view.setUint32(8, ppm);
+        chunk.view.setUint32(12, ppm);
+        chunk.view.setUint8(16, 1); // unit: meter
+        chunk.view.setUint32(17, this.#crc32(chunk.data.subarray(4, 17)));
+
+        return new Blob([data.subarray(0, 33), chunk.data, data.subarray(33)], {type: blob.type});
+    }
+
+    /**
+     * CRC-32 as used by png
+     * @param {Uint8Array} data
+     * @returns {Number}
+     */
+    #crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc ^= data[i];
+            for (let k = 0; k < 8; k++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * decode a base64url string (JWK)
+     * @param {String} str
+     * @returns {Uint8Array}
+     */
+    #base64UrlToBytes(str) {
+        const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(bin, (c) => { return c.charCodeAt(0); });
+    }
+
     /**
      * Helper Function to wait
      * @param {Number} ms
@@ -962,6 +4746,21 @@ class WacomStu540 {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * create a data URL from a canvas
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @returns {Promise} resolves to the data URL or null
+     */
+    async #canvasToDataURL(canvas) {
+        if (canvas.toDataURL) { // HTMLCanvasElement
+            return canvas.toDataURL();
+
+        } else if (canvas.convertToBlob) { // OffscreenCanvas
+            return await this.#blobToDataURL(await canvas.convertToBlob());
+        }
+        return null;
+    }
+
     /**
      * create a data URL from a blob
      * @param {Blob} blob
@@ -977,3 +4776,8 @@ class WacomStu540 {
         });
     }
 }
+
+// CommonJS export for node (e.g. headless tests with WacomStuSimulator)
+if (typeof module === 'object' && module.exports) {
+    module.exports = WacomStu540;
+}
@@ -0,0 +1,297 @@
+/*
+    WACOM STU Signature Compare
+    ___________________________________________________
+
+    Compares a signature with a reference signature, e.g. to flag obvious mismatches for a manual review:
+
+        const result = await WacomStuCompare.compare(referenceSvg, wacom.getSvg());
+        if (!result.match) {
+            // review the signature
+        }
+
+    Position, size and writing time of both signatures are normalized. The series of the shape, the speed
+    and the pressure are compared with dynamic time warping (DTW), each feature gets a similarity score 0 ... 1.
+    The score is a heuristic for screening, not a proof of identity.
+    ___________________________________________________
+
+    netas.ch, Lukas Buchs
+    https://github.com/netas-ch/Wacom-STU-WebHID
+    ___________________________________________________
+*/
+
+
+class WacomStuCompare {
+
+    /**
+     * Compare a signature with a reference signature.
+     * options:
+     *      weights:    weight of each feature, default: {shape: 0.5, speed: 0.25, pressure: 0.25}
+     *                  features without data (e.g. no pressure) or without weight are left out
+     *      threshold:  minimum score for match, default: 0.7
+     *      samples:    points of the resampled series, at least 2, default: 128
+     *      window:     DTW window as part of the series, 0 < window <= 1, default: 0.15
+     * result:
+     *      score:      similarity 0 (different) ... 1 (equal), weighted mean of the features
+     *      match:      score >= threshold
+     *      features:   {shape, speed, pressure}: {score, distance} or null without data
+     * @param {Blob|String|Object|Array} reference svg from getSvg(), raw data {device, path} or the path
+     * @param {Blob|String|Object|Array} signature svg from getSvg(), raw data {device, path} or the path
+     * @param {Object} options
+     * @returns {Promise} resolves to the result, rejects on invalid options
+     */
+    static async compare(reference, signature, options={}) {
+        const opt = Object.assign({
+            weights: {shape: 0.5, speed: 0.25, pressure: 0.25},
+            threshold: 0.7,
+            samples: 128,
+            window: 0.15
+        }, options);
+
+        if (!Number.isInteger(opt.samples) || opt.samples < 2) {
+            throw new Error('compare: invalid samples, integer >= 2 expected');
+        }
+        if (typeof opt.window !== 'number' || !(opt.window > 0 && opt.window <= 1)) {
+            throw new Error('compare: invalid window, 0 < window <= 1 expected');
+        }
+        if (typeof opt.threshold !== 'number' || isNaN(opt.threshold)) {
+            throw new Error('compare: invalid threshold');
+        }
+        if (!opt.weights || typeof opt.weights !== 'object') {
+            throw new Error('compare: invalid weights');
+        }
+        Object.keys(opt.weights).forEach((name) => {
+            if (!['shape', 'speed', 'pressure'].includes(name)) {
+                throw new Error('compare: unknown weight ' + name);
+            }
+            if (typeof opt.weights[name] !== 'number' || !isFinite(opt.weights[name]) || opt.weights[name] < 0) {
+                throw new Error('compare: invalid weight ' + name + ', number >= 0 expected');
+            }
+        });
+
+        const a = WacomStuCompare.#getSeries(await WacomStuCompare.#parse(reference), opt.samples);
+        const b = WacomStuCompare.#getSeries(await WacomStuCompare.#parse(signature), opt.samples);
+        const window = Math.max(1, Math.round(opt.samples * opt.window));
+
+        // distance in normalized units to score: similar signatures are near 0
+        const scales = {shape: 0.2, speed: 0.35, pressure: 0.15};
+        const features = {shape: null, speed: null, pressure: null};
+
+        features.shape = WacomStuCompare.#getFeature(a.shape, b.shape, window, scales.shape);
+        features.speed = WacomStuCompare.#getFeature(a.speed, b.speed, window, scales.speed);
+        if (a.pressure && b.pressure) {
+            features.pressure = WacomStuCompare.#getFeature(a.pressure, b.pressure, window, scales.pressure);
+        }
+
+        let score = 0, weights = 0;
+        Object.keys(features).forEach((name) => {
+            if (features[name] && opt.weights[name] > 0) {
+                score += features[name].score * opt.weights[name];
+                weights += opt.weights[name];
+            }
+        });
+        score = weights > 0 ? score / weights : 0;
+
+        return {
+            score: score,
+            match: score >= opt.threshold,
+            features: features
+        };
+    }
+
+    // -------------------------------------------------
+    // private methods
+    // -------------------------------------------------
+
+    /**
+     * get the raw data {device, path} of a signature
+     * @param {Blob|String|Object|Array} source
+     * @returns {Promise}
+     */
+    static async #parse(source) {
+        if (Array.isArray(source)) {
+            return {device: {}, path: source};
+        }
+
+        const driver = typeof WacomStu540 !== 'undefined' ? WacomStu540 : require('./WacomStu540.js');
+        return await driver.parseSignatureData(source);
+    }
+
+    /**
+     * resample the pen down points of a signature by time and normalize them.
+     * shape: [x, y] centered and scaled to a mean distance of 1 from the center
+     * speed: speed relative to the mean speed
+     * pressure: pressure relative to the mean pressure, null without pressure
+     * @param {Object} data {device, path}
+     * @param {Number} samples
+     * @returns {Object} {shape, speed, pressure}
+     */
+    static #getSeries(data, samples) {
+        const device = data.device, points = [];
+        const interval = 1000 / (device.maxReportRate || 200), maxPressure = device.tabletMaxPressure || 1023;
+
+        // pen down points, the time is the writing time without the pen up time
+        let time = 0, last = null;
+        data.path.forEach((p, i) => {
+            const t = typeof p.deviceTime === 'number' ? p.deviceTime : (typeof p.timestamp === 'number' ? p.timestamp : i * interval);
+
+            if (p.rdy && p.sw) {
+                const sameStroke = last !== null && last.index === i - 1;
+                const dt = sameStroke ? Math.max(0, t - last.t) : 0;
+                const dist = sameStroke ? Math.hypot(p.x - last.x, p.y - last.y) : 0;
+                time += dt;
+
+                points.push({
+                    x: p.x,
+                    y: p.y,
+                    pressure: typeof p.cpress === 'number' ? p.cpress : p.press / maxPressure,
+                    speed: dt > 0 ? dist / dt : (points.length > 0 && sameStroke ? points[points.length - 1].speed : 0),
+                    time: time
+                });
+                last = {index: i, t: t, x: p.x, y: p.y};
+            }
+        });
+
+        if (points.length < 2) {
+            throw new Error('compare: signature without pen data');
+        }
+
+        // without time, the points are equally spaced
+        if (time === 0) {
+            points.forEach((p, i) => { p.time = i; });
+            time = points.length - 1;
+        }
+
+        const res = WacomStuCompare.#resample(points, time, samples);
+
+        // position and size
+        const cx = WacomStuCompare.#mean(res.map((p) => { return p.x; }));
+        const cy = WacomStuCompare.#mean(res.map((p) => { return p.y; }));
+        const size = WacomStuCompare.#mean(res.map((p) => { return Math.hypot(p.x - cx, p.y - cy); })) || 1;
+
+        // the speed of single points jitters, the moving average over 5 samples is compared
+        const speeds = res.map((p, i) => {
+            return WacomStuCompare.#mean(res.slice(Math.max(0, i - 2), i + 3).map((q) => { return q.speed; }));
+        });
+        const meanSpeed = WacomStuCompare.#mean(speeds) || 1;
+        const pressures = res.map((p) => { return p.pressure; });
+        const meanPressure = WacomStuCompare.#mean(pressures);
+
+        // constant pressure (e.g. mouse or writing mode 0) is no feature
+        const pressureDeviation = Math.sqrt(WacomStuCompare.#mean(pressures.map((v) => { return Math.pow(v - meanPressure, 2); })));
+
+        return {
+            shape: res.map((p) => { return [(p.x - cx) / size, (p.y - cy) / size]; }),
+            speed: speeds.map((v) => { return [v / meanSpeed]; }),
+            pressure: meanPressure > 0 && pressureDeviation > 0.01 ? pressures.map((v) => { return [v / meanPressure]; }) : null
+        };
+    }
+
+    /**
+     * interpolate the points at equal time steps
+     * @param {Array} points {x, y, pressure, speed, time}, time ascending
+     * @param {Number} duration
+     * @param {Number} samples
+     * @returns {Array}
+     */
+    static #resample(points, duration, samples) {
+        const res = [];
+        let j = 0;
+
+        for (let i = 0; i < samples; i++) {
+            const t = duration * i / (samples - 1);
+            while (j < points.length - 2 && points[j + 1].time < t) {
+                j++;
+            }
+
+            const p0 = points[j], p1 = points[j + 1], dt = p1.time - p0.time;
+            const f = dt > 0 ? Math.min(1, Math.max(0, (t - p0.time) / dt)) : 0;
+            res.push({
+                x: p0.x + (p1.x - p0.x) * f,
+                y: p0.y + (p1.y - p0.y) * f,
+                pressure: p0.pressure + (p1.pressure - p0.pressure) * f,
+                speed: p0.speed + (p1.speed - p0.speed) * f
+            });
+        }
+
+        return res;
+    }
+
+    /**
+     * compare two series
+     * @param {Array} a
+     * @param {Array} b
+     * @param {Number} window
+     * @param {Number} scale distance with score 1/e
+     * @returns {Object} {score, distance}
+     */
+    static #getFeature(a, b, window, scale) {
+        const distance = WacomStuCompare.#dtw(a, b, window);
+        return {
+            score: Math.exp(-distance / scale),
+            distance: distance
+        };
+    }
+
+    /**
+     * dynamic time warping: mean distance of the points along the best alignment of two series,
+     * the alignment may not leave a window around the diagonal (Sakoe-Chiba band)
+     * @param {Array} a points, each an Array of values
+     * @param {Array} b points, each an Array of values
+     * @param {Number} window
+     * @returns {Number}
+     */
+    static #dtw(a, b, window) {
+        const n = a.length, m = b.length;
+        window = Math.max(window, Math.abs(n - m));
+
+        // cost and length of the best path to each cell
+        let cost = new Float64Array(m + 1).fill(Infinity), steps = new Float64Array(m + 1);
+        cost[0] = 0;
+
+        for (let i = 1; i <= n; i++) {
+            const rowCost = new Float64Array(m + 1).fill(Infinity), rowSteps = new Float64Array(m + 1);
+
+            for (let j = Math.max(1, i - window); j <= Math.min(m, i + window); j++) {
+                let d = 0;
+                for (let k = 0; k < a[i - 1].length; k++) {
+                    d += Math.pow(a[i - 1][k] - b[j - 1][k], 2);
+                }
+                d = Math.sqrt(d);
+
+                // match, insertion or deletion
+                let best = cost[j - 1], bestSteps = steps[j - 1];
+                if (cost[j] < best) {
+                    best = cost[j];
+                    bestSteps = steps[j];
+                }
+                if (rowCost[j - 1] < best) {
+                    best = rowCost[j - 1];
+                    bestSteps = rowSteps[j - 1];
+                }
+
+                rowCost[j] = best + d;
+                rowSteps[j] = bestSteps + 1;
+            }
+
+            cost = rowCost;
+            steps = rowSteps;
+        }
+
+        return cost[m] / steps[m];
+    }
+
+    /**
+     * mean of values
+     * @param {Array} values
+     * @returns {Number}
+     */
+    static #mean(values) {
+        return values.reduce((s, v) => { return s + v; }, 0) / values.length;
+    }
+}
+
+
+// CommonJS export for node
+if (typeof module === 'object' && module.exports) {
+    module.exports = WacomStuCompare;
+}
@@ -0,0 +1,339 @@
+/*
+    WACOM STU Pad Manager
+    ___________________________________________________
+
+    Lists the pads connected to the computer and opens each pad as its own
+    WacomStu540 instance, e.g. one pad for the customer and one for the clerk:
+
+        const manager = new WacomStuManager();
+        const pads = await manager.getPads();
+        const customer = await manager.open(pads[0].eSerial);
+        const clerk = await manager.open(pads[1].eSerial);
+
+    A pad plugged in again is recognized by its eSerial and handed to its instance,
+    which restores its settings (see WacomStu540 option autoReconnect).
+    ___________________________________________________
+
+    netas.ch, Lukas Buchs
+    https://github.com/netas-ch/Wacom-STU-WebHID
+    ___________________________________________________
+*/
+
+
+class WacomStuManager {
+    #transport; // WebHID api or a compatible implementation
+    #driverOptions; // options for the WacomStu540 instances
+    #driverClass;
+    #models;
+    #filters; // WebHID filters of the supported models
+    #pads; // opened pads: [{eSerial, device, driver, lost}]
+    #events;
+
+    /**
+     * options:
+     *      transport:  object implementing the WebHID HID interface, default: navigator.hid
+     *      driver:     driver class, default: WacomStu540
+     *      all other options are passed to the WacomStu540 instances (document, autoReconnect, ...)
+     * @param {Object} options
+     */
+    constructor(options={}) {
+        this.#transport = options.transport || null;
+
+        // Check if WebHID is supported
+        if (!this.#transport) {
+            if (typeof navigator === 'undefined' || !('hid' in navigator)) {
+                throw new Error('WebHID not supported');
+            }
+            this.#transport = navigator.hid;
+        }
+
+        this.#driverClass = options.driver || (typeof WacomStu540 !== 'undefined' ? WacomStu540 : require('./WacomStu540.js'));
+
+        this.#driverOptions = Object.assign({}, options);
+        delete this.#driverOptions.driver;
+        this.#driverOptions.transport = this.#transport;
+
+        // supported models and their filters, from a driver without device
+        const viewer = new this.#driverClass({transport: null, document: null});
+        this.#models = viewer.getSupportedModels();
+        this.#filters = viewer.getDeviceFilters();
+
+        this.#pads = [];
+        this.#events = [];
+
+        // HID events, routed to the instance of the pad
+        this.#transport.addEventListener("connect", (e) => {
+            if (this.#getModel(e.device)) {
+                this.#onConnect(e.device);
+            }
+        });
+
+        this.#transport.addEventListener("disconnect", (e) => {
+            if (this.#getModel(e.device)) {
+                const pad = this.#pads.find((p) => { return p.device === e.device; });
+                if (pad) {
+                    pad.lost = true;
+                }
+                this.#raiseEvent('padDisconnect', [{
+                    device: e.device,
+                    model: this.#getModel(e.device).model,
+                    eSerial: pad ? pad.eSerial : null,
+                    driver: pad ? pad.driver : null
+                }]);
+            }
+        });
+    }
+
+
+    // -------------------------------------------------
+    // public methods
+    // -------------------------------------------------
+
+    /**
+     * add a event listener
+     * padConnect-Event: pad, see getPads(). A opened pad is already handed to its instance.
+     *      pad.error is set if reading the eSerial or the hand over failed, else null
+     * padDisconnect-Event: pad, see getPads(). The instance of a opened pad is kept and waits for the pad
+     *      plugged in again (connection state 'lost'), close() releases it.
+     *
+     * @param {String} eventName (padConnect, padDisconnect)
+     * @param {Function} callbackFn
+     * @param {Object|null} context
+     * @returns {undefined}
+     */
+    on(eventName, callbackFn, context) {
+        this.#events.push({eventName: eventName, callbackFn: callbackFn, context: context});
+    }
+
+    /**
+     * Remove a event from the stack. pass null to remove all.
+     * @param {String|null} eventName
+     * @param {Function|null} callbackFn
+     * @param {Object|null} context
+     * @returns {undefined}
+     */
+    un(eventName=null, callbackFn=null, context=null) {
+        this.#events = this.#events.filter((e) => {
+            return ((eventName === e.eventName || eventName === null)
+                    && (callbackFn === e.callbackFn || callbackFn === null)
+                    && (context === e.context || context === null)) ? false : true;
+        });
+    }
+
+    /**
+     * Show the device chooser to allow access to more pads, must be called from a user gesture.
+     * @returns {Promise} resolves to the pads, see getPads()
+     */
+    async requestPads() {
+        await this.#transport.requestDevice({filters: this.#filters});
+        return await this.getPads();
+    }
+
+    /**
+     * List the connected pads the page has access to.
+     * pad:
+     *      device:   HIDDevice
+     *      model:    e.g. 'STU-540'
+     *      eSerial:  serial number, null for models without eSerial
+     *      driver:   WacomStu540 instance if opened, else null
+     * @returns {Promise}
+     */
+    async getPads() {
+        const devices = await this.#transport.getDevices(), pads = [];
+
+        for (let i = 0; i < devices.length; i++) {
+            const model = this.#getModel(devices[i]);
+            if (model) {
+                const opened = this.#pads.find((p) => { return p.device === devices[i] && !p.lost; });
+                pads.push({
+                    device: devices[i],
+                    model: model.model,
+                    eSerial: opened ? opened.eSerial : await this.#readESerial(devices[i]),
+                    driver: opened ? opened.driver : null
+                });
+            }
+        }
+
+        return pads;
+    }
+
+    /**
+     * Open a pad as its own WacomStu540 instance. An already opened pad returns its instance,
+     * a pad plugged in again is handed to the instance waiting for it.
+     * @param {String|Object|HIDDevice} pad eSerial, pad from getPads() or the device
+     * @returns {Promise} resolves to the WacomStu540 instance
+     */
+    async open(pad) {
+        const pads = await this.getPads();
+        const found = pads.find((p) => {
+            return p === pad || p.device === pad || (pad && p.device === pad.device) || (typeof pad === 'string' && p.eSerial === pad);
+        });
+
+        if (!found) {
+            throw new Error('open: pad not found');
+        }
+        if (found.driver) {
+            return found.driver;
+        }
+
+        const waiting = this.#getWaitingPad(found.eSerial, found.device);
+        if (waiting) {
+            await this.#handOver(waiting, found.device);
+            return waiting.driver;
+        }
+
+        const driver = new this.#driverClass(Object.assign({}, this.#driverOptions, {device: found.device}));
+        this.#pads.push({eSerial: found.eSerial, device: found.device, driver: driver, lost: false});
+
+        try {
+            await driver.connect();
+        } catch (e) {
+            this.#pads = this.#pads.filter((p) => { return p.driver !== driver; });
+            throw e;
+        }
+
+        return driver;
+    }
+
+    /**
+     * Close a pad opened by open()
+     * @param {Object} driver WacomStu540 instance
+     * @returns {Promise}
+     */
+    async close(driver) {
+        const pad = this.#pads.find((p) => { return p.driver === driver; });
+        if (!pad) {
+            return;
+        }
+
+        this.#pads = this.#pads.filter((p) => { return p !== pad; });
+        await driver.disconnect();
+    }
+
+    /**
+     * returns the instance of an opened pad, also while it waits for the pad plugged in again
+     * @param {String} eSerial
+     * @returns {Object|null} WacomStu540 instance
+     */
+    getDriver(eSerial) {
+        const pad = this.#pads.find((p) => { return p.eSerial !== null && p.eSerial === eSerial; });
+        return pad ? pad.driver : null;
+    }
+
+    // -------------------------------------------------
+    // private methods
+    // -------------------------------------------------
+
+    /**
+     * a pad was plugged in: hand it to the instance with the same eSerial
+     * @param {HIDDevice} device
+     * @returns {Promise}
+     */
+    async #onConnect(device) {
+        let eSerial = null, pad = null, error = null;
+
+        try {
+            eSerial = await this.#readESerial(device);
+            pad = this.#getWaitingPad(eSerial, device);
+            if (pad) {
+                await this.#handOver(pad, device);
+            }
+        } catch (e) {
+            error = e;
+        }
+
+        this.#raiseEvent('padConnect', [{
+            device: device,
+            model: this.#getModel(device).model,
+            eSerial: eSerial,
+            driver: pad ? pad.driver : null,
+            error: error
+        }]);
+    }
+
+    /**
+     * returns the opened pad with the eSerial waiting for the device, e.g. after unplugging
+     * @param {String|null} eSerial
+     * @param {HIDDevice} device
+     * @returns {Object|null}
+     */
+    #getWaitingPad(eSerial, device) {
+        if (eSerial === null) {
+            return null;
+        }
+        return this.#pads.find((p) => { return p.eSerial === eSerial && (p.device !== device || p.lost); }) || null;
+    }
+
+    /**
+     * hand a pad plugged in again to its instance, which restores its settings (option autoReconnect)
+     * @param {Object} pad entry of this.#pads
+     * @param {HIDDevice} device
+     * @returns {Promise}
+     */
+    async #handOver(pad, device) {
+        pad.device = device;
+        pad.lost = false;
+        await pad.driver.setDevice(device);
+    }
+
+    /**
+     * read the eSerial of a device. A opened pad returns the eSerial of its instance, other open devices
+     * are skipped: reports outside the queue of their driver could interfere with it.
+     * @param {HIDDevice} device
+     * @returns {Promise} resolves to the eSerial or null
+     */
+    async #readESerial(device) {
+        const pad = this.#pads.find((p) => { return p.device === device; });
+        if (pad) {
+            return pad.eSerial;
+        }
+
+        if (!this.#getModel(device).reports.includes('eSerial') || device.opened) {
+            return null;
+        }
+
+        await device.open();
+
+        try {
+            const dv = await device.receiveFeatureReport(0x0F);
+            let eSerial = '';
+            for (let i = 1; i < dv.byteLength && dv.getUint8(i) !== 0; i++) {
+                eSerial += String.fromCharCode(dv.getUint8(i));
+            }
+            return eSerial;
+
+        } finally {
+            await device.close();
+        }
+    }
+
+    /**
+     * returns the model profile of a device or null
+     * @param {HIDDevice} device
+     * @returns {Object|null}
+     */
+    #getModel(device) {
+        const filter = this.#filters.find((f) => { return f.vendorId === device.vendorId && f.productId === device.productId; });
+        return filter ? this.#models.find((m) => { return m.pid === filter.productId; }) : null;
+    }
+
+    /**
+     * raise a event
+     * @param {String} eventName
+     * @param {Array} args
+     * @returns {undefined}
+     */
+    #raiseEvent(eventName, args) {
+        for (let i = 0; i < this.#events.length; i++) {
+            if (this.#events[i].eventName === eventName) {
+                this.#events[i].callbackFn.apply(this.#events[i].context || globalThis, args);
+            }
+        }
+    }
+}
+
+
+// CommonJS export for node
+if (typeof module === 'object' && module.exports) {
+    module.exports = WacomStuManager;
+}
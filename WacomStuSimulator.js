@@ -0,0 +1,625 @@
+/*
+    WACOM STU Software Pad Simulator
+    ___________________________________________________
+
+    Implements the parts of the WebHID api used by WacomStu540, so the driver
+    can run without a physical pad (e.g. headless tests under node):
+
+        const sim = new WacomStuSimulator();
+        sim.plug('STU-540');
+        const wacom = new WacomStu540({transport: sim, document: null});
+        await wacom.connect();
+        await (await sim.getDevices())[0].drawStroke([[100, 100], [200, 150]]);
+    ___________________________________________________
+
+    netas.ch, Lukas Buchs
+    https://github.com/netas-ch/Wacom-STU-WebHID
+    ___________________________________________________
+*/
+
+
+class WacomStuSimulator extends EventTarget {
+    #devices;
+
+    constructor() {
+        super();
+
+        // plugged in devices
+        this.#devices = [];
+    }
+
+    // -------------------------------------------------
+    // public methods
+    // -------------------------------------------------
+
+    /**
+     * Plug in a simulated pad, raises the connect event
+     * @param {String} model model name, see WacomStuSimulatedDevice.models
+     * @param {Object} options {eSerial, firmware, granted} granted=false needs a requestDevice before getDevices lists it
+     * @returns {WacomStuSimulatedDevice}
+     */
+    plug(model='STU-540', options={}) {
+        const device = new WacomStuSimulatedDevice(model, options);
+        this.#devices.push(device);
+        this.#dispatchHidEvent('connect', device);
+        return device;
+    }
+
+    /**
+     * Unplug a simulated pad, raises the disconnect event
+     * @param {WacomStuSimulatedDevice|null} device null for the last plugged device
+     * @returns {undefined}
+     */
+    unplug(device=null) {
+        device = device || this.#devices[this.#devices.length - 1];
+        if (!device || !this.#devices.includes(device)) {
+            return;
+        }
+
+        this.#devices = this.#devices.filter((d) => { return d !== device; });
+        device.close();
+        this.#dispatchHidEvent('disconnect', device);
+    }
+
+    /**
+     * WebHID: devices the page has access to
+     * @returns {Promise}
+     */
+    async getDevices() {
+        return this.#devices.filter((d) => { return d.granted; });
+    }
+
+    /**
+     * WebHID: simulates the device chooser by picking the first matching device
+     * @param {Object} options {filters: [{vendorId, productId}]}
+     * @returns {Promise}
+     */
+    async requestDevice(options) {
+        const filters = options && options.filters ? options.filters : [];
+        const device = this.#devices.find((d) => {
+            return filters.length === 0 || filters.some((f) => {
+                return (f.vendorId === undefined || f.vendorId === d.vendorId)
+                        && (f.productId === undefined || f.productId === d.productId);
+            });
+        });
+
+        if (!device) {
+            return [];
+        }
+        device.granted = true;
+        return [device];
+    }
+
+    // -------------------------------------------------
+    // private methods
+    // -------------------------------------------------
+
+    /**
+     * raise a connect or disconnect event like navigator.hid
+     * @param {String} type
+     * @param {WacomStuSimulatedDevice} device
+     * @returns {undefined}
+     */
+    #dispatchHidEvent(type, device) {
+        const event = new Event(type);
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+}
+
+
+class WacomStuSimulatedDevice extends EventTarget {
+    #model;
+    #opened;
+    #reports;
+    #imageWrite;
+    #seq;
+    #time;
+    #encryption;
+    #pending;
+
+    /**
+     * Hardware data of the simulated models
+     */
+    static models = {
+        'STU-430': { pid: 0xA4, width: 320, height: 200, tabletMaxX: 9120, tabletMaxY: 5700, tabletMaxPressure: 1023, maxReportRate: 200, color: false, eSerial: true },
+        'STU-520': { pid: 0xA3, width: 800, height: 480, tabletMaxX: 10000, tabletMaxY: 6000, tabletMaxPressure: 1023, maxReportRate: 200, color: false, eSerial: false },
+        'STU-530': { pid: 0xA5, width: 800, height: 480, tabletMaxX: 10800, tabletMaxY: 6480, tabletMaxPressure: 1023, maxReportRate: 200, color: true, eSerial: true },
+        'STU-540': { pid: 0xA8, width: 800, height: 480, tabletMaxX: 9600, tabletMaxY: 6000, tabletMaxPressure: 1023, maxReportRate: 200, color: true, eSerial: true, encryption: true },
+        'STU-541': { pid: 0xA9, width: 800, height: 480, tabletMaxX: 9600, tabletMaxY: 6000, tabletMaxPressure: 1023, maxReportRate: 200, color: true, eSerial: true, encryption: true }
+    };
+
+    /**
+     * @param {String} model model name, key of WacomStuSimulatedDevice.models
+     * @param {Object} options {eSerial, firmware, granted}
+     */
+    constructor(model='STU-540', options={}) {
+        super();
+
+        if (!(model in WacomStuSimulatedDevice.models)) {
+            throw new Error('WacomStuSimulatedDevice: unknown model ' + model);
+        }
+
+        this.#model = Object.assign({name: model}, WacomStuSimulatedDevice.models[model]);
+        this.#opened = false;
+        this.#imageWrite = null;
+        this.#seq = 0;
+        this.#time = 0;
+
+        // encryption state, encrypted reports are emitted in order through the queue
+        this.#encryption = {
+            e           : [],
+            n           : [],
+            key         : null,
+            keyReady    : false,
+            resultCode  : 0,
+            blockIndex  : 0,
+            sessionId   : null,
+            queue       : Promise.resolve()
+        };
+
+        // pen data waiting for the second slot of an encrypted report
+        this.#pending = null;
+
+        // WebHID properties
+        this.vendorId = 0x56A;
+        this.productId = this.#model.pid;
+        this.productName = model;
+        this.collections = [];
+
+        // the page got access to the device (WebHID permission)
+        this.granted = options.granted !== false;
+
+        // emit penDataTiming (0x34) instead of penData (0x01) reports
+        this.penDataTiming = false;
+
+        // simulated device state
+        this.state = {
+            eSerial         : options.eSerial || 'SIM' + model.replace(/\D/g, '') + '0001',
+            firmware        : options.firmware || [1, 0, 0, 0],
+            backgroundColor : [255, 255, 255],
+            penColor        : [0, 0, 0],
+            penWidth        : 1,
+            brightness      : 3,
+            inkMode         : 1,
+            writingMode     : 0,
+            writingArea     : [0, 0, this.#model.width, this.#model.height],
+            screen          : null,     // last written image: {encoding, data}
+            imageArea       : null,     // last written image area: {encoding, data, area: [x1, y1, x2, y2]}
+            clearCount      : 0
+        };
+
+        // feature report ids: [read, write]
+        this.#reports = {
+            0x08: [() => { return this.#information(); }, null],
+            0x09: [() => { return this.#capability(); }, null],
+            0x0E: [() => { return [this.state.writingMode]; }, (d) => { this.state.writingMode = d[0]; }],
+            0x20: [null, () => { this.state.clearCount++; this.state.screen = null; }],
+            0x21: [() => { return [this.state.inkMode]; }, (d) => { this.state.inkMode = d[0]; }],
+            0x25: [null, (d) => { this.#imageWrite = {encoding: d[0], chunks: []}; }],
+            0x26: [null, (d) => { this.#writeImageData(d); }],
+            0x27: [null, (d) => { this.#writeImageEnd(d[0] === 1); }],
+            0x2A: [() => { return this.#writingArea(); }, (d) => { this.#setWritingArea(d); }]
+        };
+
+        if (this.#model.eSerial) {
+            this.#reports[0x0F] = [() => { return Array.from(this.state.eSerial, (c) => { return c.charCodeAt(0); }); }, null];
+        }
+
+        if (this.#model.pid !== 0xA4) {
+            this.#reports[0x24] = [null, (d) => { this.#startImageArea(d); }];
+            this.#reports[0x2B] = [() => { return [this.state.brightness, 0]; }, (d) => { this.state.brightness = d[0]; }];
+        }
+
+        if (this.#model.color) {
+            this.#reports[0x2D] = [() => { return this.state.penColor.concat([this.state.penWidth]); }, (d) => { this.state.penColor = [d[0], d[1], d[2]]; this.state.penWidth = d[3]; }];
+            this.#reports[0x2E] = [() => { return this.state.backgroundColor; }, (d) => { this.state.backgroundColor = [d[0], d[1], d[2]]; }];
+        }
+
+        if (this.#model.encryption) {
+            this.#reports[0x15] = [null, (d) => { this.#encryption.sessionId = new DataView(d.buffer, d.byteOffset).getUint32(0); }];
+            this.#reports[0x16] = [null, () => { this.flush(); this.#encryption.sessionId = null; }];
+            this.#reports[0x40] = [() => { return this.#encryptionParameterBlock(); }, (d) => { this.#encryptionCommand(d); }];
+            this.#reports[0x50] = [() => { return [this.#encryption.keyReady ? 1 : 0, this.#encryption.resultCode]; }, null];
+        }
+    }
+
+    // -------------------------------------------------
+    // public methods (WebHID HIDDevice)
+    // -------------------------------------------------
+
+    get opened() {
+        return this.#opened;
+    }
+
+    async open() {
+        this.#opened = true;
+    }
+
+    async close() {
+        this.#opened = false;
+    }
+
+    async forget() {
+        this.#opened = false;
+        this.granted = false;
+    }
+
+    /**
+     * WebHID: write a feature report
+     * @param {Number} reportId
+     * @param {BufferSource} data report data without report id
+     * @returns {Promise}
+     */
+    async sendFeatureReport(reportId, data) {
+        this.#assertReport(reportId, 1);
+        const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+        this.#reports[reportId][1](bytes);
+    }
+
+    /**
+     * WebHID: read a feature report
+     * @param {Number} reportId
+     * @returns {Promise} DataView, first byte is the report id
+     */
+    async receiveFeatureReport(reportId) {
+        this.#assertReport(reportId, 0);
+        return new DataView(new Uint8Array([reportId].concat(this.#reports[reportId][0]())).buffer);
+    }
+
+    // -------------------------------------------------
+    // public methods (simulation)
+    // -------------------------------------------------
+
+    /**
+     * Check if an encrypted capture session is running
+     * @returns {Boolean}
+     */
+    isCapturing() {
+        return this.#encryption.sessionId !== null;
+    }
+
+    /**
+     * Emit one pen input report, encrypted during a capture session
+     * @param {Object} p {x, y} in screen pixels, {pressure} 0...1, {rdy} pen in proximity, {sw} pen touches the surface
+     * @returns {undefined}
+     */
+    emitPenData(p) {
+        if (!this.#opened) {
+            return;
+        }
+
+        const rdy = p.rdy !== false, pressure = p.pressure || 0, sw = p.sw !== undefined ? !!p.sw : pressure > 0;
+        const press = Math.round(Math.min(1, Math.max(0, pressure)) * this.#model.tabletMaxPressure) & 0x3FF;
+        const x = Math.round(p.x * this.#model.tabletMaxX / this.#model.width);
+        const y = Math.round(p.y * this.#model.tabletMaxY / this.#model.height);
+
+        const data = new DataView(new ArrayBuffer(this.penDataTiming ? 10 : 6));
+        data.setUint16(0, (rdy ? 0x8000 : 0) | (sw ? 0x1000 : 0) | press);
+        data.setUint16(2, x);
+        data.setUint16(4, y);
+
+        if (this.penDataTiming) {
+            this.#time = (this.#time + 5) & 0xFFFF;
+            this.#seq = (this.#seq + 1) & 0xFFFF;
+            data.setUint16(6, this.#time);
+            data.setUint16(8, this.#seq);
+        }
+
+        if (this.isCapturing()) {
+            this.#emitEncrypted(new Uint8Array(data.buffer));
+        } else {
+            this.emitInputReport(this.penDataTiming ? 0x34 : 0x01, data);
+        }
+    }
+
+    /**
+     * Emit pen data waiting for an encrypted report and wait until all encrypted reports are emitted.
+     * Like the pad, both slots of the report carry pen data: the waiting packet is repeated in the second slot.
+     * @returns {Promise}
+     */
+    async flush() {
+        if (this.#pending) {
+            this.#emitEncrypted(this.#pending);
+        }
+        await this.#encryption.queue;
+    }
+
+    /**
+     * Emit a raw input report
+     * @param {Number} reportId
+     * @param {DataView} data report data without report id
+     * @returns {undefined}
+     */
+    emitInputReport(reportId, data) {
+        const event = new Event('inputreport');
+        event.device = this;
+        event.reportId = reportId;
+        event.data = data;
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * Play a scripted stroke: hover in, pen down, move over the points, pen up and hover out.
+     * @param {Array} points [[x, y, pressure], ...] in screen pixels, pressure defaults to 0.5
+     * @param {Number} interval ms between the reports, 0 to emit synchronously
+     * @returns {Promise}
+     */
+    async drawStroke(points, interval=5) {
+        if (points.length === 0) {
+            return;
+        }
+
+        const first = points[0], last = points[points.length - 1];
+        const packets = [{x: first[0], y: first[1], rdy: true, sw: false}];
+
+        points.forEach((pt) => {
+            packets.push({x: pt[0], y: pt[1], pressure: pt.length > 2 ? pt[2] : 0.5, rdy: true, sw: true});
+        });
+
+        packets.push({x: last[0], y: last[1], rdy: true, sw: false});
+        packets.push({x: last[0], y: last[1], rdy: false, sw: false});
+
+        for (let i = 0; i < packets.length; i++) {
+            this.emitPenData(packets[i]);
+            if (interval > 0) {
+                await new Promise((resolve) => { setTimeout(resolve, interval); });
+            }
+        }
+
+        await this.flush();
+    }
+
+    // -------------------------------------------------
+    // private methods
+    // -------------------------------------------------
+
+    /**
+     * throw like WebHID if the report is not supported
+     * @param {Number} reportId
+     * @param {Number} direction 0: read, 1: write
+     * @returns {undefined}
+     */
+    #assertReport(reportId, direction) {
+        if (!this.#opened) {
+            throw new Error('InvalidStateError: the device must be opened first');
+        }
+        if (!this.#reports[reportId] || !this.#reports[reportId][direction]) {
+            throw new Error('NotAllowedError: failed to ' + (direction ? 'write' : 'receive') + ' the feature report 0x' + reportId.toString(16));
+        }
+    }
+
+    /**
+     * encryptionCommand: command, parameter index, data length, data
+     * @param {Uint8Array} d
+     * @returns {undefined}
+     */
+    #encryptionCommand(d) {
+        const enc = this.#encryption, data = Array.from(d.subarray(3, 3 + d[2]));
+
+        switch (d[0]) {
+            case 0x01: // setEncryptionType, only AES-128 / OAEP / RSA-2048
+                enc.e = [];
+                enc.n = [];
+                enc.key = null;
+                enc.keyReady = false;
+                enc.resultCode = (data[0] === 0x00 && data[1] === 0x02 && data[2] === 0x00) ? 0 : 1;
+                break;
+
+            case 0x02: // setParameterBlock
+                if (d[1] === 0x00) {
+                    enc.e = enc.e.concat(data);
+                } else if (d[1] === 0x01) {
+                    enc.n = enc.n.concat(data);
+                }
+                break;
+
+            case 0x03: // generateSymmetricKey
+                enc.keyReady = false;
+                this.#generateSessionKey().catch(() => { enc.resultCode = 2; });
+                break;
+
+            case 0x04: // getParameterBlock
+                enc.blockIndex = data[0];
+                break;
+        }
+    }
+
+    /**
+     * read the requested 64 byte block of the encrypted session key
+     * @returns {Array}
+     */
+    #encryptionParameterBlock() {
+        const enc = this.#encryption, block = new Uint8Array(64);
+        if (enc.key) {
+            block.set(enc.key.encrypted.subarray(enc.blockIndex * 64, (enc.blockIndex + 1) * 64));
+        }
+        return [0x04, 0x02, 64].concat(Array.from(block));
+    }
+
+    /**
+     * generate a AES session key and encrypt it with the public key of the host
+     * @returns {Promise}
+     */
+    async #generateSessionKey() {
+        const enc = this.#encryption, subtle = globalThis.crypto.subtle;
+        const toBase64Url = (bytes) => {
+            return btoa(String.fromCharCode.apply(null, bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        };
+
+        const publicKey = await subtle.importKey('jwk', {kty: 'RSA', e: toBase64Url(enc.e), n: toBase64Url(enc.n), alg: 'RSA-OAEP', ext: true},
+            {name: 'RSA-OAEP', hash: 'SHA-1'}, false, ['encrypt']);
+
+        const raw = globalThis.crypto.getRandomValues(new Uint8Array(16));
+        enc.key = {
+            aes: await subtle.importKey('raw', raw, {name: 'AES-CBC'}, false, ['encrypt']),
+            encrypted: new Uint8Array(await subtle.encrypt({name: 'RSA-OAEP'}, publicKey, raw))
+        };
+        enc.keyReady = true;
+    }
+
+    /**
+     * emit pen data encrypted: two pen data packets or one with timing per report
+     * @param {Uint8Array} data
+     * @returns {undefined}
+     */
+    #emitEncrypted(data) {
+        if (data.length > 6) {
+            this.#queueEncrypted(0x33, data);
+
+        } else if (this.#pending) {
+            const block = new Uint8Array(12);
+            block.set(this.#pending, 0);
+            block.set(data, 6);
+            this.#pending = null;
+            this.#queueEncrypted(0x10, block);
+
+        } else {
+            this.#pending = data;
+        }
+    }
+
+    /**
+     * encrypt a AES-ECB block (AES-CBC with zero IV) and emit it
+     * @param {Number} reportId
+     * @param {Uint8Array} data max. 16 bytes
+     * @returns {undefined}
+     */
+    #queueEncrypted(reportId, data) {
+        const enc = this.#encryption, sessionId = enc.sessionId, key = enc.key.aes;
+        const block = new Uint8Array(16);
+        block.set(data);
+
+        enc.queue = enc.queue.then(async () => {
+            const encrypted = new Uint8Array(await globalThis.crypto.subtle.encrypt({name: 'AES-CBC', iv: new Uint8Array(16)}, key, block));
+            const report = new DataView(new ArrayBuffer(20));
+            report.setUint32(0, sessionId);
+            new Uint8Array(report.buffer).set(encrypted.subarray(0, 16), 4);
+            this.emitInputReport(reportId, report);
+        });
+    }
+
+    /**
+     * capability report data
+     * @returns {Array}
+     */
+    #capability() {
+        const dv = new DataView(new ArrayBuffer(16));
+        dv.setUint16(0, this.#model.tabletMaxX);
+        dv.setUint16(2, this.#model.tabletMaxY);
+        dv.setUint16(4, this.#model.tabletMaxPressure);
+        dv.setUint16(6, this.#model.width);
+        dv.setUint16(8, this.#model.height);
+        dv.setUint8(10, this.#model.maxReportRate);
+        return Array.from(new Uint8Array(dv.buffer));
+    }
+
+    /**
+     * information report data
+     * @returns {Array}
+     */
+    #information() {
+        const name = Array.from(this.#model.name.padEnd(7, '\0').slice(0, 7), (c) => { return c.charCodeAt(0); });
+        return name.concat(this.state.firmware, [0, 0, 0, 0]);
+    }
+
+    /**
+     * writing area report data
+     * @returns {Array}
+     */
+    #writingArea() {
+        const dv = new DataView(new ArrayBuffer(8));
+        this.state.writingArea.forEach((v, i) => { dv.setUint16(i * 2, v, true); });
+        return Array.from(new Uint8Array(dv.buffer));
+    }
+
+    /**
+     * @param {Uint8Array} d
+     * @returns {undefined}
+     */
+    #setWritingArea(d) {
+        const dv = new DataView(d.buffer, d.byteOffset, d.byteLength);
+        this.state.writingArea = [dv.getUint16(0, true), dv.getUint16(2, true), dv.getUint16(4, true), dv.getUint16(6, true)];
+    }
+
+    /**
+     * start an image upload to a rectangle: [encoding, x1, y1, x2, y2], 16 bit little endian
+     * @param {Uint8Array} d
+     * @returns {undefined}
+     */
+    #startImageArea(d) {
+        const dv = new DataView(d.buffer, d.byteOffset, d.byteLength);
+        const area = [dv.getUint16(1, true), dv.getUint16(3, true), dv.getUint16(5, true), dv.getUint16(7, true)];
+
+        if (area[0] > area[2] || area[1] > area[3] || area[2] >= this.#model.width || area[3] >= this.#model.height) {
+            throw new Error('NotAllowedError: invalid image area');
+        }
+        this.#imageWrite = {encoding: d[0], chunks: [], area: area};
+    }
+
+    /**
+     * image data block: [length lo, length hi, ...data]
+     * @param {Uint8Array} d
+     * @returns {undefined}
+     */
+    #writeImageData(d) {
+        if (!this.#imageWrite) {
+            throw new Error('NotAllowedError: image data without writeImageStart');
+        }
+        const len = d[0] | (d[1] << 8);
+        this.#imageWrite.chunks.push(d.slice(2, 2 + len));
+    }
+
+    /**
+     * finish the image upload and store it as screen content.
+     * a uncompressed image area is copied to a screen with the same encoding.
+     * @param {Boolean} abandon discard the image
+     * @returns {undefined}
+     */
+    #writeImageEnd(abandon) {
+        if (!this.#imageWrite) {
+            throw new Error('NotAllowedError: writeImageEnd without writeImageStart');
+        }
+        if (abandon) {
+            this.#imageWrite = null;
+            return;
+        }
+
+        const size = this.#imageWrite.chunks.reduce((s, c) => { return s + c.length; }, 0);
+        const data = new Uint8Array(size);
+        let offset = 0;
+        this.#imageWrite.chunks.forEach((c) => { data.set(c, offset); offset += c.length; });
+
+        if (this.#imageWrite.area) {
+            this.state.imageArea = {encoding: this.#imageWrite.encoding, data: data, area: this.#imageWrite.area};
+            this.#copyImageArea(this.state.imageArea);
+        } else {
+            this.state.screen = {encoding: this.#imageWrite.encoding, data: data};
+        }
+        this.#imageWrite = null;
+    }
+
+    /**
+     * copy an image area to the screen image
+     * @param {Object} imageArea {encoding, data, area}
+     * @returns {undefined}
+     */
+    #copyImageArea(imageArea) {
+        const screen = this.state.screen, [x1, y1, x2, y2] = imageArea.area;
+        const bytes = {0x04: 3, 0x02: 2}[imageArea.encoding];
+
+        if (!screen || screen.encoding !== imageArea.encoding || !bytes) {
+            return;
+        }
+
+        const rowBytes = (x2 - x1 + 1) * bytes;
+        for (let y = y1; y <= y2; y++) {
+            screen.data.set(imageArea.data.subarray((y - y1) * rowBytes, (y - y1 + 1) * rowBytes), (y * this.#model.width + x1) * bytes);
+        }
+    }
+}
+
+// CommonJS export for node
+if (typeof module === 'object' && module.exports) {
+    module.exports = { WacomStuSimulator, WacomStuSimulatedDevice };
+}
@@ -0,0 +1,432 @@
+/*
+    WACOM STU Simulator Test
+    ___________________________________________________
+
+    Headless tests of the driver, the manager and the compare with the software pad, e.g. in CI:
+
+        node test/simulator.js
+
+    Covers connect, the setters, signature capture, encryption, the report queue, reconnect,
+    the pen data timing, WacomStuManager and WacomStuCompare.
+    Exits with code 1 on failure.
+    ___________________________________________________
+
+    netas.ch, Lukas Buchs
+    https://github.com/netas-ch/Wacom-STU-WebHID
+    ___________________________________________________
+*/
+
+const assert = require('assert');
+const WacomStu540 = require('../WacomStu540.js');
+const WacomStuManager = require('../WacomStuManager.js');
+const WacomStuCompare = require('../WacomStuCompare.js');
+const { WacomStuSimulator } = require('../WacomStuSimulator.js');
+
+const tests = [];
+
+/**
+ * add a test case
+ * @param {String} name
+ * @param {Function} fn async function, throws on failure
+ * @returns {undefined}
+ */
+function test(name, fn) {
+    tests.push({name: name, fn: fn});
+}
+
+/**
+ * plug a simulated pad and connect a driver to it
+ * @param {String} model
+ * @param {Object} options driver options
+ * @returns {Promise} resolves to {sim, device, wacom}
+ */
+async function connectPad(model='STU-540', options={}) {
+    const sim = new WacomStuSimulator();
+    const device = sim.plug(model);
+    const wacom = new WacomStu540(Object.assign({transport: sim, document: null}, options));
+    assert.strictEqual(await wacom.connect(), true, 'connect() failed');
+    return {sim: sim, device: device, wacom: wacom};
+}
+
+/**
+ * wait for a number of ms
+ * @param {Number} ms
+ * @returns {Promise}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+/**
+ * canvas without drawing, node has no canvas: the pixels stay blank, the image upload runs as with a canvas
+ */
+class BlankCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getContext() {
+        return new Proxy({canvas: this}, {
+            get: (target, name) => {
+                if (name === 'getImageData') {
+                    return (x, y, w, h) => { return {data: new Uint8ClampedArray(w * h * 4), width: w, height: h}; };
+                }
+                if (name === 'measureText') {
+                    return (text) => { return {width: String(text).length * 10}; };
+                }
+                return name in target ? target[name] : () => {};
+            }
+        });
+    }
+}
+
+/**
+ * tap a button of the driver with the pen
+ * @param {Object} device simulated pad
+ * @param {Object} button from getButtons()
+ * @returns {Promise}
+ */
+async function tapButton(device, button) {
+    await device.drawStroke([[button.x + button.width / 2, button.y + button.height / 2]], 0);
+
+    // the button action runs after the pen up
+    await sleep(20);
+}
+
+
+// -------------------------------------------------
+// driver
+// -------------------------------------------------
+
+test('connect and signature in getSvg()', async () => {
+    const { device, wacom } = await connectPad('STU-540');
+    assert.strictEqual(wacom.getTabletInfo().model, 'STU-540');
+
+    await wacom.setInking(true);
+    await device.drawStroke([[100, 100, 0.5], [200, 150, 0.8], [300, 120, 0.6]]);
+    await device.flush();
+
+    assert.ok(wacom.hasSignatureData(), 'no signature data after the stroke');
+
+    // the raw data in the svg contains the stroke
+    const data = await WacomStu540.parseSignatureData(wacom.getSvg());
+    const down = data.path.filter((p) => { return p.rdy && p.sw; });
+    assert.ok(down.length >= 3, 'stroke missing in getSvg(), ' + down.length + ' packets');
+    assert.strictEqual(data.device.model, 'STU-540');
+
+    const first = down[0], last = down[down.length - 1];
+    assert.deepStrictEqual([first.cx, first.cy], [100, 100]);
+    assert.deepStrictEqual([last.cx, last.cy], [300, 120]);
+
+    await wacom.disconnect();
+});
+
+test('setters write the device', async () => {
+    const { device, wacom } = await connectPad('STU-540');
+
+    await wacom.setPenColorAndWidth('#FF8000', 2);
+    await wacom.setBackgroundColor('#00FF00');
+    await wacom.setBrightness(1);
+    await wacom.setWritingMode(1);
+    await wacom.setWritingArea({x1: 10, y1: 20, x2: 700, y2: 400});
+    await wacom.setInking(false);
+
+    assert.deepStrictEqual(device.state.penColor, [255, 128, 0]);
+    assert.strictEqual(device.state.penWidth, 2);
+    assert.deepStrictEqual(device.state.backgroundColor, [0, 255, 0]);
+    assert.strictEqual(device.state.brightness, 1);
+    assert.strictEqual(device.state.writingMode, 1);
+    assert.deepStrictEqual(device.state.writingArea, [10, 20, 700, 400]);
+    assert.strictEqual(device.state.inkMode, 0);
+
+    const info = wacom.getTabletInfo();
+    assert.deepStrictEqual(info.penColor, [255, 128, 0]);
+    assert.strictEqual(info.writingMode, 1);
+
+    await assert.rejects(wacom.setBrightness(7), /invalid value for setBrightness/);
+    await assert.rejects(wacom.setPenColorAndWidth('#000000', 9), /invalid value for setPenColorAndWidth/);
+
+    await wacom.disconnect();
+    await assert.rejects(wacom.setInking(true), /device not connected/);
+});
+
+test('setters reject features of other models on STU-430 and STU-520', async () => {
+    const stu430 = await connectPad('STU-430');
+    await assert.rejects(stu430.wacom.setPenColorAndWidth('#FF0000', 1), /penColorAndWidth not supported by STU-430/);
+    await assert.rejects(stu430.wacom.setBackgroundColor('#FF0000'), /backgroundColor not supported by STU-430/);
+    await assert.rejects(stu430.wacom.setBrightness(1), /brightness not supported by STU-430/);
+    await stu430.wacom.setWritingMode(0);
+    await stu430.wacom.disconnect();
+
+    const stu520 = await connectPad('STU-520');
+    await assert.rejects(stu520.wacom.setPenColorAndWidth('#FF0000', 1), /penColorAndWidth not supported by STU-520/);
+    await assert.rejects(stu520.wacom.setBackgroundColor('#FF0000'), /backgroundColor not supported by STU-520/);
+    await stu520.wacom.setBrightness(2);
+    assert.strictEqual(stu520.device.state.brightness, 2);
+    await stu520.wacom.disconnect();
+});
+
+test('captureSignature resolves on confirm and rejects on cancel', async () => {
+    globalThis.OffscreenCanvas = BlankCanvas;
+    try {
+        const { device, wacom } = await connectPad('STU-540');
+
+        const capture = wacom.captureSignature({prompt: 'Please sign'});
+        await sleep(50);
+        assert.strictEqual(device.state.inkMode, 1, 'inking off during the capture');
+        assert.ok(device.state.screen, 'no screen uploaded');
+
+        // confirm without signature: rejected, the capture goes on
+        const buttons = wacom.getButtons(), rejected = [];
+        wacom.on('signatureRejected', (reasons) => { rejected.push(reasons); });
+        await tapButton(device, buttons.find((b) => { return b.action === 'confirm'; }));
+        assert.strictEqual(rejected.length, 1, 'empty signature not rejected');
+
+        await device.drawStroke([[150, 150, 0.5], [250, 200, 0.7], [350, 180, 0.6]], 0);
+        await tapButton(device, buttons.find((b) => { return b.action === 'confirm'; }));
+
+        const result = await capture;
+        assert.strictEqual(result.metadata.model, 'STU-540');
+        assert.strictEqual(result.metadata.strokeCount, 1);
+        assert.ok(result.path.some((p) => { return p.rdy && p.sw && p.cx === 250 && p.cy === 200; }), 'stroke missing in the result');
+        assert.strictEqual(device.state.inkMode, 0, 'inking not reset after the capture');
+        assert.deepStrictEqual(wacom.getButtons(), [], 'default buttons not removed');
+
+        const cancelled = assert.rejects(wacom.captureSignature(), /captureSignature: cancelled/);
+        await sleep(50);
+        await tapButton(device, wacom.getButtons().find((b) => { return b.action === 'cancel'; }));
+        await cancelled;
+
+        await wacom.disconnect();
+
+    } finally {
+        delete globalThis.OffscreenCanvas;
+    }
+});
+
+test('encrypted capture decrypts the pen data', async () => {
+    const { device, wacom } = await connectPad('STU-540');
+    const packets = [];
+    wacom.on('penData', (p) => { packets.push(p); });
+
+    await wacom.startCapture();
+    assert.ok(device.isCapturing(), 'no capture session on the pad');
+    await device.drawStroke([[100, 100, 0.3], [150, 120, 0.6], [200, 150, 1]], 0);
+    await wacom.endCapture();
+    assert.ok(!device.isCapturing(), 'capture session not ended');
+
+    const down = packets.filter((p) => { return p.rdy && p.sw; });
+    assert.deepStrictEqual(down.map((p) => { return [p.cx, p.cy]; }), [[100, 100], [150, 120], [200, 150]]);
+    assert.strictEqual(down[2].press, 1023);
+
+    // with timing: one packet per report
+    packets.length = 0;
+    device.penDataTiming = true;
+    await wacom.startCapture(1234);
+    await device.drawStroke([[10, 10], [20, 20]], 0);
+    await wacom.endCapture();
+    assert.deepStrictEqual(packets.map((p) => { return p.seq; }), [1, 2, 3, 4, 5]);
+
+    await wacom.disconnect();
+});
+
+test('reads are retried, sent reports time out', async () => {
+    const { device, wacom } = await connectPad('STU-540', {commandTimeout: 100, commandRetries: 2});
+    const receive = device.sendFeatureReport.bind(device), read = device.receiveFeatureReport.bind(device);
+
+    // the first brightness read hangs longer than the timeout, the retry succeeds
+    let reads = 0;
+    device.receiveFeatureReport = async (reportId) => {
+        if (reportId === 0x2B && reads++ === 0) {
+            await sleep(150);
+        }
+        return read(reportId);
+    };
+    await wacom.setBrightness(0);
+    assert.strictEqual(reads, 2);
+    assert.strictEqual(device.state.brightness, 0);
+
+    // a sent report is not repeated
+    let sends = 0;
+    device.sendFeatureReport = async (reportId, data) => {
+        if (reportId === 0x0E) {
+            sends++;
+            await sleep(150);
+        }
+        return receive(reportId, data);
+    };
+    await assert.rejects(wacom.setWritingMode(1), /send report 0x0E \(writingMode\) failed: timeout after 100 ms/);
+    assert.strictEqual(sends, 1);
+
+    // the next report waits for the running transfer
+    device.sendFeatureReport = receive;
+    await wacom.setInking(false);
+    assert.strictEqual(device.state.inkMode, 0);
+
+    await wacom.disconnect();
+});
+
+test('a pad plugged in again gets its settings back', async () => {
+    const { sim, device, wacom } = await connectPad('STU-540');
+    const states = [];
+    wacom.on('connectionState', (state) => { states.push(state); });
+
+    await wacom.setPenColorAndWidth('#0000FF', 3);
+    await wacom.setWritingMode(1);
+    await wacom.setInking(true);
+
+    sim.unplug(device);
+    assert.strictEqual(wacom.getConnectionState(), 'lost');
+
+    const restored = new Promise((resolve) => {
+        wacom.on('connectionState', (state) => { if (state === 'restored') { resolve(); } });
+    });
+    const replugged = sim.plug('STU-540', {eSerial: device.state.eSerial});
+    await restored;
+
+    assert.deepStrictEqual(states, ['lost', 'connecting', 'ready', 'restored']);
+    assert.deepStrictEqual(replugged.state.penColor, [0, 0, 255]);
+    assert.strictEqual(replugged.state.penWidth, 3);
+    assert.strictEqual(replugged.state.writingMode, 1);
+    assert.strictEqual(replugged.state.inkMode, 1);
+
+    await wacom.disconnect();
+});
+
+test('pen data timing is unwrapped, gaps raise dataLoss', async () => {
+    const { device, wacom } = await connectPad('STU-540');
+    const packets = [], losses = [];
+    wacom.on('penData', (p) => { packets.push(p); });
+    wacom.on('dataLoss', (loss) => { losses.push(loss); });
+
+    const emit = (time, seq) => {
+        const dv = new DataView(new ArrayBuffer(10));
+        dv.setUint16(0, 0x8000);
+        dv.setUint16(2, 1000);
+        dv.setUint16(4, 1000);
+        dv.setUint16(6, time);
+        dv.setUint16(8, seq);
+        device.emitInputReport(0x34, dv);
+    };
+
+    // the 16 bit counters wrap, seq 0x0002 is missing
+    emit(0xFFF0, 0xFFFF);
+    emit(0xFFF5, 0x0000);
+    emit(0x0004, 0x0001);
+    emit(0x000E, 0x0003);
+
+    assert.deepStrictEqual(packets.map((p) => { return p.deviceTime; }), [0xFFF0, 0xFFF5, 0x10004, 0x1000E]);
+    assert.deepStrictEqual(packets.map((p) => { return p.sequence; }), [0xFFFF, 0x10000, 0x10001, 0x10003]);
+    assert.deepStrictEqual(losses.map((l) => { return [l.missing, l.fromSequence, l.toSequence]; }), [[1, 0x10002, 0x10002]]);
+
+    // a counter going back is a reset, not a gap
+    emit(0x0100, 0x0001);
+    assert.strictEqual(losses.length, 1);
+    assert.strictEqual(packets[4].sequence, 0x10004);
+
+    await wacom.disconnect();
+});
+
+
+// -------------------------------------------------
+// manager
+// -------------------------------------------------
+
+test('manager opens pads by eSerial and hands a pad plugged in again to its instance', async () => {
+    const sim = new WacomStuSimulator();
+    const a = sim.plug('STU-540', {eSerial: 'A1'});
+    sim.plug('STU-530', {eSerial: 'B2'});
+
+    const manager = new WacomStuManager({transport: sim, document: null});
+    const pads = await manager.getPads();
+    assert.deepStrictEqual(pads.map((p) => { return [p.model, p.eSerial]; }), [['STU-540', 'A1'], ['STU-530', 'B2']]);
+
+    const padA = await manager.open('A1'), padB = await manager.open('B2');
+    assert.notStrictEqual(padA, padB);
+    assert.strictEqual(await manager.open('A1'), padA);
+    assert.strictEqual(padB.getTabletInfo().model, 'STU-530');
+
+    const events = [];
+    manager.on('padDisconnect', (pad) => { events.push(['disconnect', pad.eSerial, pad.driver === padA]); });
+    const connected = new Promise((resolve) => {
+        manager.on('padConnect', (pad) => { events.push(['connect', pad.eSerial, pad.driver === padA, pad.error]); resolve(); });
+    });
+
+    sim.unplug(a);
+    assert.strictEqual(padA.getConnectionState(), 'lost');
+    assert.strictEqual(padB.getConnectionState(), 'ready');
+
+    sim.plug('STU-540', {eSerial: 'A1'});
+    await connected;
+
+    assert.deepStrictEqual(events, [['disconnect', 'A1', true], ['connect', 'A1', true, null]]);
+    assert.strictEqual(padA.getConnectionState(), 'restored');
+    assert.strictEqual(manager.getDriver('A1'), padA);
+
+    await manager.close(padA);
+    await manager.close(padB);
+    assert.strictEqual(manager.getDriver('A1'), null);
+});
+
+
+// -------------------------------------------------
+// compare
+// -------------------------------------------------
+
+test('compare scores a similar signature above a different one', async () => {
+    const { device, wacom } = await connectPad('STU-540');
+
+    // signature as svg from the simulated pad, with the device time for a steady speed
+    device.penDataTiming = true;
+    const sign = async (strokes) => {
+        await wacom.clearScreen();
+        for (let i = 0; i < strokes.length; i++) {
+            await device.drawStroke(strokes[i], 0);
+        }
+        return wacom.getSvg();
+    };
+    const wave = (dx, dy, scale) => {
+        const points = [];
+        for (let i = 0; i <= 40; i++) {
+            points.push([dx + i * 10 * scale, dy + Math.sin(i / 4) * 60 * scale, 0.3 + 0.4 * Math.abs(Math.sin(i / 6))]);
+        }
+        return [points];
+    };
+    const zigzag = () => {
+        const points = [];
+        for (let i = 0; i <= 40; i++) {
+            points.push([100 + i * 10, 200 + (i % 8 < 4 ? i % 4 : 4 - i % 4) * 40, 0.9]);
+        }
+        return [points];
+    };
+
+    const reference = await sign(wave(100, 200, 1));
+    const similar = await sign(wave(150, 250, 0.8));
+    const different = await sign(zigzag());
+
+    const same = await WacomStuCompare.compare(reference, similar);
+    const other = await WacomStuCompare.compare(reference, different);
+    assert.ok(same.match, 'similar signature not matched, score ' + same.score);
+    assert.ok(same.score > other.score, 'scores ' + same.score + ' <= ' + other.score);
+    assert.ok(same.features.pressure, 'pressure not compared');
+
+    await assert.rejects(WacomStuCompare.compare(reference, similar, {samples: 1}), /compare: invalid samples/);
+    await assert.rejects(WacomStuCompare.compare(reference, similar, {weights: {shape: '1'}}), /compare: invalid weight shape/);
+
+    await wacom.disconnect();
+});
+
+
+(async () => {
+    for (let i = 0; i < tests.length; i++) {
+        try {
+            await tests[i].fn();
+            console.log('ok: ' + tests[i].name);
+        } catch (e) {
+            console.error('failed: ' + tests[i].name, e);
+            process.exitCode = 1;
+        }
+    }
+    console.log(process.exitCode ? 'simulator test failed' : 'ok: simulator test passed');
+})();